@@ -0,0 +1,219 @@
+// lib/apiKeys.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * API key registry. Keys are stored hashed, each with its own scopes and optional expiry:
+ *   { keys: [ { id, hash: 'sha256:<hex>', scopes: ['lookup:read', ...], expires_at?, disabled?, label? } ] }
+ * Source: env API_KEYS_JSON (same shape) or the file at API_KEYS_FILE (default /mnt/data/api_keys.json).
+ * The file is re-read when its mtime changes, so keys can be added / retired without a restart:
+ * add the new key, move integrations over, then disable or expire the old one.
+ *
+ * Scopes: status:write (processor callbacks), lookup:read (GET lookups), admin:read (read-only admin routes),
+ *         admin (every admin route, including those that change state; implies admin:read),
+ *         code:full (may ask for full 12-digit TWIST codes), checkout:write (merchants creating checkout sessions).
+ *
+ * Legacy single keys from env keep working with the access they had before:
+ *   GET_API_KEY       → lookup:read, admin:read (it only ever guarded GET routes; POST admin routes need a registry key)
+ *   API_KEY           → status:write
+ *   CODE_FULL_API_KEY → lookup:read, code:full
+ * Set API_KEYS_LEGACY_ENV=false once every integration has its own registry key.
+ *
+ * Every authenticated use is logged to API_KEY_USAGE_LOG (JSON lines, never the key itself). Lines are buffered and
+ * appended asynchronously every API_KEY_USAGE_FLUSH_SECONDS (sooner when 1000 are waiting, synchronously on exit —
+ * server.js turns SIGTERM / SIGINT into an exit so a shutdown doesn't lose them);
+ * once the log reaches API_KEY_USAGE_LOG_MAX_MB it is rotated to <log>.1, replacing the previous generation.
+ */
+const SCOPES = ['status:write', 'lookup:read', 'admin:read', 'admin', 'code:full', 'checkout:write'];
+const IMPLIED_BY = { 'admin:read': 'admin' }; // scope -> broader scope that also grants it
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join('/mnt/data', 'api_keys.json');
+const USAGE_LOG = process.env.API_KEY_USAGE_LOG || path.join('/mnt/data', 'api_key_usage.jsonl');
+const USAGE_FLUSH_MS = Number(process.env.API_KEY_USAGE_FLUSH_SECONDS || 5) * 1000;
+const USAGE_LOG_MAX_BYTES = Number(process.env.API_KEY_USAGE_LOG_MAX_MB || 10) * 1024 * 1024;
+const USAGE_BUFFER_MAX = 1000;
+const LEGACY_ENV_KEYS = [
+  ['GET_API_KEY', ['lookup:read', 'admin:read']],
+  ['API_KEY', ['status:write']],
+  ['CODE_FULL_API_KEY', ['lookup:read', 'code:full']],
+];
+
+let registry = null;  // Map hash -> key record
+let fileMtime = null;
+const usage = new Map(); // key id -> { count, last_used_at }
+let usageLines = [];     // not yet written to USAGE_LOG
+let usageTimer = null;
+let usageFlush = null;   // the running flush, if any
+
+function hashKey(raw) {
+  return 'sha256:' + crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function generateKey() {
+  return 'twk_' + crypto.randomBytes(24).toString('base64url');
+}
+
+function normalizeEntry(e, source) {
+  if (!e || !e.id || !/^sha256:[0-9a-f]{64}$/.test(String(e.hash || ''))) {
+    console.error(`apiKeys: ignoring malformed entry from ${source}:`, e && e.id);
+    return null;
+  }
+  const scopes = (Array.isArray(e.scopes) ? e.scopes : []).filter(s => SCOPES.includes(s));
+  return {
+    id: String(e.id),
+    hash: e.hash,
+    scopes,
+    expires_at: e.expires_at || null,
+    disabled: !!e.disabled,
+    label: e.label || null,
+    source
+  };
+}
+
+function readFileEntries() {
+  let stat;
+  try { stat = fs.statSync(API_KEYS_FILE); } catch { fileMtime = null; return []; }
+  fileMtime = stat.mtimeMs;
+  try {
+    return JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf-8')).keys || [];
+  } catch (e) {
+    console.error('apiKeys: unable to parse', API_KEYS_FILE, e.message);
+    return [];
+  }
+}
+
+function readEnvEntries() {
+  if (!process.env.API_KEYS_JSON) return [];
+  try {
+    return JSON.parse(process.env.API_KEYS_JSON).keys || [];
+  } catch (e) {
+    console.error('apiKeys: unable to parse API_KEYS_JSON', e.message);
+    return [];
+  }
+}
+
+function legacyEntries() {
+  if (String(process.env.API_KEYS_LEGACY_ENV || 'true').toLowerCase() === 'false') return [];
+  return LEGACY_ENV_KEYS
+    .filter(([name]) => process.env[name])
+    .map(([name, scopes]) => ({ id: `env:${name}`, hash: hashKey(process.env[name]), scopes }));
+}
+
+function fileChanged() {
+  let mtime = null;
+  try { mtime = fs.statSync(API_KEYS_FILE).mtimeMs; } catch {}
+  return mtime !== fileMtime;
+}
+
+function load() {
+  if (registry && !fileChanged()) return registry;
+  registry = new Map();
+  const sources = [
+    [legacyEntries(), 'env'],
+    [readEnvEntries(), 'API_KEYS_JSON'],
+    [readFileEntries(), 'file'],
+  ];
+  for (const [entries, source] of sources) {
+    for (const raw of entries) {
+      const e = normalizeEntry(raw, source);
+      if (e) registry.set(e.hash, e); // later sources win for the same key
+    }
+  }
+  return registry;
+}
+
+function isExpired(e, now = Date.now()) {
+  if (!e.expires_at) return false;
+  const t = Date.parse(e.expires_at);
+  return !isNaN(t) && t <= now;
+}
+
+/**
+ * Resolve a raw key presented by a client.
+ * Returns { ok: true, key: { id, scopes } } or { ok: false, reason: 'missing' | 'unknown' | 'disabled' | 'expired' }.
+ */
+function authenticate(rawKey) {
+  if (!rawKey) return { ok: false, reason: 'missing' };
+  const e = load().get(hashKey(rawKey));
+  if (!e) return { ok: false, reason: 'unknown' };
+  if (e.disabled) return { ok: false, reason: 'disabled', id: e.id };
+  if (isExpired(e)) return { ok: false, reason: 'expired', id: e.id };
+  return { ok: true, key: { id: e.id, scopes: e.scopes.slice() } };
+}
+
+function hasScope(key, scope) {
+  if (!key || !Array.isArray(key.scopes)) return false;
+  return key.scopes.includes(scope) || (!!IMPLIED_BY[scope] && key.scopes.includes(IMPLIED_BY[scope]));
+}
+
+function recordUsage(keyId, { scope, method, path: routePath, ip, allowed }) {
+  const u = usage.get(keyId) || { count: 0, last_used_at: null };
+  u.count++;
+  u.last_used_at = new Date().toISOString();
+  usage.set(keyId, u);
+
+  usageLines.push(JSON.stringify({ at: u.last_used_at, key_id: keyId, scope, method, path: routePath, ip, allowed }) + '\n');
+  if (usageLines.length >= USAGE_BUFFER_MAX) {
+    flushUsage();
+  } else if (!usageTimer) {
+    usageTimer = setTimeout(flushUsage, USAGE_FLUSH_MS);
+    usageTimer.unref();
+  }
+}
+
+async function rotateUsageLog() {
+  let size;
+  try { size = (await fs.promises.stat(USAGE_LOG)).size; } catch { return; }
+  if (size >= USAGE_LOG_MAX_BYTES) await fs.promises.rename(USAGE_LOG, `${USAGE_LOG}.1`);
+}
+
+// Write the buffered usage lines; resolves once they're on disk (errors are logged, the lines dropped)
+function flushUsage() {
+  if (usageTimer) { clearTimeout(usageTimer); usageTimer = null; }
+  if (usageFlush) return usageFlush.then(() => (usageLines.length ? flushUsage() : undefined));
+  if (!usageLines.length) return Promise.resolve();
+  const text = usageLines.join('');
+  usageLines = [];
+  usageFlush = (async () => {
+    try {
+      await rotateUsageLog();
+      await fs.promises.appendFile(USAGE_LOG, text);
+    } catch (e) {
+      console.error('apiKeys usage log write failed', e.message);
+    } finally {
+      usageFlush = null;
+    }
+  })();
+  return usageFlush;
+}
+
+process.once('exit', () => {
+  if (!usageLines.length) return;
+  try { fs.appendFileSync(USAGE_LOG, usageLines.join('')); } catch (e) { console.error('apiKeys usage log write failed', e.message); }
+});
+
+// Registry view for admins (never includes hashes)
+function listKeys() {
+  const now = Date.now();
+  return Array.from(load().values()).map(e => ({
+    id: e.id,
+    label: e.label,
+    source: e.source,
+    scopes: e.scopes,
+    expires_at: e.expires_at,
+    active: !e.disabled && !isExpired(e, now),
+    usage: usage.get(e.id) || { count: 0, last_used_at: null }
+  }));
+}
+
+module.exports = {
+  SCOPES,
+  API_KEYS_FILE,
+  hashKey,
+  generateKey,
+  authenticate,
+  hasScope,
+  recordUsage,
+  flushUsage,
+  listKeys,
+};
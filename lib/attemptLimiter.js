@@ -0,0 +1,129 @@
+// lib/attemptLimiter.js
+const path = require('path');
+const jsonStore = require('./jsonStore');
+
+/**
+ * Failed-attempt counters for the card verification routes (/otp/derive-phone, /pre-validate).
+ * Counted per bucket, e.g. `ip:<client ip>` and `card:<last 6 digits>`:
+ * - MAX_FAILURES failures inside WINDOW_MS lock the bucket; each further lockout of the same bucket
+ *   doubles (LOCKOUT_BASE_MS, 2×, 4× … capped at LOCKOUT_MAX_MS). Lockout history decays after LOCKOUT_MAX_MS idle.
+ * - A success clears the failure count of the card bucket only (an attacker with one valid card can't reset their IP).
+ * - Persisted (no backups) so restarting the server doesn't hand out fresh attempts.
+ */
+const ATTEMPTS_PATH = process.env.ATTEMPT_STORE_PATH || path.join('/mnt/data', 'attempt_limits.json');
+const WINDOW_MS = Number(process.env.ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000;
+const LOCKOUT_BASE_MS = Number(process.env.ATTEMPT_LOCKOUT_BASE_SECONDS || 60) * 1000;
+const LOCKOUT_MAX_MS = Number(process.env.ATTEMPT_LOCKOUT_MAX_SECONDS || 3600) * 1000;
+const MAX_FAILURES = {
+  ip: Number(process.env.ATTEMPT_MAX_FAILURES_IP || 20),
+  card: Number(process.env.ATTEMPT_MAX_FAILURES_CARD || 5),
+};
+// After this many failures on any bucket, routes answer with one generic denial instead of per-field messages (0 = never)
+const GENERIC_AFTER = Number(process.env.ATTEMPT_GENERIC_ERRORS_AFTER || 3);
+
+let buckets = null; // Map key -> { failures, firstFailureAt, lastFailureAt, lockouts, lockedUntil }
+
+function load() {
+  if (buckets) return buckets;
+  buckets = new Map();
+  try {
+    for (const [k, b] of Object.entries(jsonStore.readJson(ATTEMPTS_PATH, {}).buckets || {})) buckets.set(k, b);
+  } catch (e) {
+    console.error('attemptLimiter unreadable (starting empty):', e.message);
+  }
+  return buckets;
+}
+
+function isStale(b, now) {
+  return (b.lockedUntil || 0) <= now && now - (b.lastFailureAt || 0) > Math.max(WINDOW_MS, LOCKOUT_MAX_MS);
+}
+
+function save() {
+  const now = Date.now();
+  for (const [k, b] of buckets) {
+    if (isStale(b, now)) buckets.delete(k);
+  }
+  try {
+    jsonStore.writeJson(ATTEMPTS_PATH, { buckets: Object.fromEntries(buckets) }, { pretty: false, backups: 0 });
+  } catch (e) {
+    console.error('attemptLimiter save error:', e);
+  }
+}
+
+const kindOf = (key) => String(key).split(':')[0];
+
+// Failures inside the current window (older failures no longer count)
+function activeFailures(b, now) {
+  if (!b || now - (b.firstFailureAt || 0) > WINDOW_MS) return 0;
+  return b.failures || 0;
+}
+
+/**
+ * Returns { allowed: true } or { allowed: false, retryAfterSec } when any bucket is locked.
+ */
+function check(keys, now = Date.now()) {
+  const all = load();
+  let lockedUntil = 0;
+  for (const key of keys) {
+    const b = all.get(key);
+    if (b && b.lockedUntil > now) lockedUntil = Math.max(lockedUntil, b.lockedUntil);
+  }
+  if (!lockedUntil) return { allowed: true };
+  return { allowed: false, retryAfterSec: Math.ceil((lockedUntil - now) / 1000) };
+}
+
+function recordFailure(keys, now = Date.now()) {
+  const all = load();
+  for (const key of keys) {
+    const prev = all.get(key);
+    const b = prev && !isStale(prev, now) ? prev : { failures: 0, firstFailureAt: now, lockouts: 0, lockedUntil: 0 };
+    if (now - (b.firstFailureAt || 0) > WINDOW_MS) {
+      b.failures = 0;
+      b.firstFailureAt = now;
+    }
+    b.failures++;
+    b.lastFailureAt = now;
+
+    const max = MAX_FAILURES[kindOf(key)] || MAX_FAILURES.card;
+    if (b.failures >= max) {
+      b.lockedUntil = now + Math.min(LOCKOUT_BASE_MS * Math.pow(2, b.lockouts || 0), LOCKOUT_MAX_MS);
+      b.lockouts = (b.lockouts || 0) + 1;
+      b.failures = 0;
+      b.firstFailureAt = now;
+      console.error(`attemptLimiter: ${key} locked until ${new Date(b.lockedUntil).toISOString()} (lockout #${b.lockouts})`);
+    }
+    all.set(key, b);
+  }
+  save();
+}
+
+function recordSuccess(keys) {
+  const all = load();
+  let changed = false;
+  for (const key of keys) {
+    if (kindOf(key) !== 'card') continue;
+    const b = all.get(key);
+    if (b && b.failures) {
+      b.failures = 0;
+      changed = true;
+    }
+  }
+  if (changed) save();
+}
+
+// True once callers should stop getting per-field error messages for these buckets
+function useGenericErrors(keys, now = Date.now()) {
+  if (!GENERIC_AFTER) return false;
+  const all = load();
+  return keys.some(key => {
+    const b = all.get(key);
+    return !!b && (activeFailures(b, now) >= GENERIC_AFTER || (b.lockouts || 0) > 0);
+  });
+}
+
+module.exports = {
+  check,
+  recordFailure,
+  recordSuccess,
+  useGenericErrors,
+};
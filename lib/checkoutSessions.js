@@ -0,0 +1,153 @@
+// lib/checkoutSessions.js
+const path = require('path');
+const crypto = require('crypto');
+const jsonStore = require('./jsonStore');
+const { parseAmount } = require('./creditLedger');
+
+/**
+ * Checkout sessions: the merchant's server fixes amount/currency/orderno up front (POST /checkout-sessions)
+ * and the hosted form only ever pays what the session says — the shopper can't edit the iframe URL to pay less.
+ *   { id: 'cs_…', merchant_id, amount, currency, orderno, email, success_url, cancel_url,
+ *     status: 'open' | 'completed', transaction_id, created_at, expires_at, completed_at }
+ * Sessions expire after CHECKOUT_SESSION_TTL_MINUTES; expired ones are dropped a day later.
+ * Stored in CHECKOUT_SESSIONS_PATH via jsonStore.updateJson (a corrupt file is never overwritten).
+ * A merchant with an API key (api_key_id, lib/merchants.js) can create sessions, so it must pay through one;
+ * CHECKOUT_SESSION_REQUIRED=true extends that to every merchant. Others may still take amount/orderno from the URL.
+ */
+const SESSIONS_PATH = process.env.CHECKOUT_SESSIONS_PATH || path.join('/mnt/data', 'checkout_sessions.json');
+const TTL_MS = Number(process.env.CHECKOUT_SESSION_TTL_MINUTES || 60) * 60 * 1000;
+const KEEP_EXPIRED_MS = 24 * 60 * 60 * 1000;
+const CURRENCIES = String(process.env.CHECKOUT_CURRENCIES || 'CAD').split(',').map(c => c.trim().toUpperCase()).filter(Boolean);
+
+function isRequired(merchant) {
+  if (String(process.env.CHECKOUT_SESSION_REQUIRED || '').toLowerCase() === 'true') return true;
+  return !!(merchant && merchant.api_key_id);
+}
+
+const isExpired = (s, now = Date.now()) => Date.parse(s.expires_at) <= now;
+
+function isReturnUrl(v) {
+  try { return /^https?:$/.test(new URL(String(v)).protocol); } catch { return false; }
+}
+
+/**
+ * Validate a create request. Returns { ok: true, fields } or { ok: false, field, message }.
+ */
+function validateInput(body) {
+  const b = body || {};
+  const amount = parseAmount(b.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return { ok: false, field: 'amount', message: 'Invalid amount' };
+  const currency = String(b.currency || '').trim().toUpperCase();
+  if (!CURRENCIES.includes(currency)) return { ok: false, field: 'currency', message: `Unsupported currency (use ${CURRENCIES.join(', ')})` };
+  const orderno = String(b.orderno || '').trim();
+  if (!orderno || orderno.length > 100) return { ok: false, field: 'orderno', message: 'Invalid orderno' };
+  for (const k of ['success_url', 'cancel_url']) {
+    if (b[k] !== undefined && b[k] !== '' && !isReturnUrl(b[k])) return { ok: false, field: k, message: `Invalid ${k}` };
+  }
+  return {
+    ok: true,
+    fields: {
+      amount: Math.round(amount * 100) / 100,
+      currency,
+      orderno,
+      email: b.email ? String(b.email).trim() : null,
+      success_url: b.success_url || null,
+      cancel_url: b.cancel_url || null
+    }
+  };
+}
+
+function prune(sessions, now = Date.now()) {
+  for (const [id, s] of Object.entries(sessions)) {
+    if (Date.parse(s.expires_at) + KEEP_EXPIRED_MS <= now) delete sessions[id];
+  }
+}
+
+function create(merchantId, fields) {
+  const now = Date.now();
+  const session = {
+    id: `cs_${crypto.randomBytes(18).toString('base64url')}`,
+    merchant_id: merchantId,
+    ...fields,
+    status: 'open',
+    transaction_id: null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + TTL_MS).toISOString(),
+    completed_at: null
+  };
+  return jsonStore.updateJson(SESSIONS_PATH, (data) => {
+    data.sessions = data.sessions || {};
+    prune(data.sessions, now);
+    data.sessions[session.id] = session;
+    return { result: session };
+  }, { pretty: false });
+}
+
+function get(id) {
+  if (!id) return null;
+  const sessions = jsonStore.readJson(SESSIONS_PATH, {}).sessions || {};
+  return sessions[String(id)] || null;
+}
+
+/**
+ * A session the form may still pay: { ok: true, session } or { ok: false, reason: 'unknown' | 'expired' | 'completed' }.
+ */
+function getPayable(id, now = Date.now()) {
+  const s = get(id);
+  if (!s) return { ok: false, reason: 'unknown' };
+  if (s.status === 'completed') return { ok: false, reason: 'completed' };
+  if (isExpired(s, now)) return { ok: false, reason: 'expired' };
+  return { ok: true, session: s };
+}
+
+// Mark paid; returns the updated session, or null if it was unknown or already completed by another transaction
+function complete(id, transactionId) {
+  return jsonStore.updateJson(SESSIONS_PATH, (data) => {
+    const s = (data.sessions || {})[String(id)];
+    if (!s || (s.status === 'completed' && s.transaction_id !== String(transactionId))) return { changed: false, result: null };
+    s.status = 'completed';
+    s.transaction_id = String(transactionId);
+    s.completed_at = s.completed_at || new Date().toISOString();
+    return { result: s };
+  }, { pretty: false });
+}
+
+// Undo complete() when the approval it was claimed for could not be recorded
+function reopen(id, transactionId) {
+  return jsonStore.updateJson(SESSIONS_PATH, (data) => {
+    const s = (data.sessions || {})[String(id)];
+    if (!s || s.transaction_id !== String(transactionId)) return { changed: false, result: null };
+    s.status = 'open';
+    s.transaction_id = null;
+    s.completed_at = null;
+    return { result: s };
+  }, { pretty: false });
+}
+
+// What the hosted form (and the merchant) may see
+function publicView(s) {
+  return {
+    id: s.id,
+    merchant_id: s.merchant_id,
+    amount: s.amount,
+    currency: s.currency,
+    orderno: s.orderno,
+    email: s.email,
+    success_url: s.success_url,
+    cancel_url: s.cancel_url,
+    status: s.status === 'open' && isExpired(s) ? 'expired' : s.status,
+    expires_at: s.expires_at
+  };
+}
+
+module.exports = {
+  CURRENCIES,
+  isRequired,
+  validateInput,
+  create,
+  get,
+  getPayable,
+  complete,
+  reopen,
+  publicView,
+};
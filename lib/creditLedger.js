@@ -0,0 +1,185 @@
+// lib/creditLedger.js
+const path = require('path');
+const jsonStore = require('./jsonStore');
+
+/**
+ * Per-loan running credit ledger.
+ * - base: the last available_credit reported through /store-status (authoritative snapshot from the processor)
+ * - entries: holds placed by our own approvals AFTER that snapshot, plus releases (void/refund) and captures
+ * Available credit = base.available_credit - sum(entries).
+ * A new /store-status value replaces the base and drops only the entries the processor already counted:
+ * - snapshot for a transaction we have entries for → everything up to that transaction's last entry;
+ * - any other snapshot (account updates) → entries older than CREDIT_SNAPSHOT_LAG_SECONDS (default 300), the time
+ *   the processor may take to learn about one of our approvals.
+ * Later holds stay, so an approval placed while the snapshot was on its way still counts against the new base.
+ */
+const LEDGER_PATH = process.env.CREDIT_LEDGER_PATH || path.join('/mnt/data', 'credit_ledger.json');
+const SNAPSHOT_LAG_MS = Number(process.env.CREDIT_SNAPSHOT_LAG_SECONDS || 300) * 1000;
+
+let ledger = null; // { loans: { [loan_id]: { base, entries } } }
+
+const toCents = (v) => Math.round(Number(v) * 100);
+const fromCents = (c) => c / 100;
+
+// "12.50", "$1,250", "12.50 $" or a number. Signs, stray characters and comma decimals are NaN, never rewritten.
+function parseMoney(v, { signed = false } = {}) {
+  if (typeof v === 'number') return Number.isFinite(v) && (signed || v >= 0) ? v : NaN;
+  if (typeof v !== 'string') return NaN;
+  const m = v.trim().replace(/^\$\s*|\s*\$$/g, '').match(/^(-?)((?:\d{1,3}(?:,\d{3})+|\d*)(?:\.\d+)?)$/);
+  if (!m || !m[2] || m[2] === '.' || (m[1] && !signed)) return NaN;
+  return Number(m[1] + m[2].replace(/,/g, ''));
+}
+
+// Non-negative amount, or NaN for anything else (callers answer with an invalid-amount error)
+const parseAmount = (v) => parseMoney(v);
+
+function load() {
+  if (ledger) return ledger;
+  ledger = { loans: {} };
+  try {
+    ledger.loans = jsonStore.readJson(LEDGER_PATH, {}).loans || {};
+  } catch (e) {
+    console.error('creditLedger unreadable (starting empty):', e.message);
+  }
+  return ledger;
+}
+
+function save() {
+  try {
+    jsonStore.writeJson(LEDGER_PATH, ledger);
+  } catch (e) {
+    console.error('creditLedger save error:', e);
+    throw e;
+  }
+}
+
+function loanEntry(loanId) {
+  const l = load();
+  const id = String(loanId);
+  if (!l.loans[id]) l.loans[id] = { base: null, entries: [] };
+  return l.loans[id];
+}
+
+// Sum of credit consumed by entries: holds count against credit, releases (void/refund/partial capture) give it back.
+// 'capture' entries are informational only — the hold already accounts for the amount.
+function usedCents(loan) {
+  return (loan.entries || []).reduce((sum, e) => {
+    if (e.type === 'hold') return sum + e.amountCents;
+    if (e.type === 'release') return sum - e.amountCents;
+    return sum;
+  }, 0);
+}
+
+/**
+ * Current available credit for a loan.
+ * fallbackBase: available_credit from the latest known payload, used when no /store-status base was recorded yet.
+ * Returns NaN when neither is known.
+ */
+function availableCredit(loanId, fallbackBase) {
+  if (!loanId) return parseMoney(fallbackBase, { signed: true });
+  const loan = load().loans[String(loanId)];
+  const baseVal = loan && loan.base ? loan.base.available_credit : parseMoney(fallbackBase, { signed: true });
+  if (!Number.isFinite(baseVal)) return NaN;
+  if (!loan) return baseVal;
+  return fromCents(toCents(baseVal) - usedCents(loan));
+}
+
+// Called for every /store-status payload carrying available_credit
+function setBase(loanId, availableCreditValue, meta = {}) {
+  const val = parseMoney(availableCreditValue, { signed: true }); // an over-limit account reports a negative balance
+  if (!loanId || !Number.isFinite(val)) return;
+  const loan = loanEntry(loanId);
+  const now = Date.now();
+  const txId = meta.transaction_id ? String(meta.transaction_id) : null;
+  const covered = txId ? loan.entries.map(e => e.transaction_id).lastIndexOf(txId) : -1;
+  loan.entries = covered >= 0
+    ? loan.entries.slice(covered + 1)
+    : loan.entries.filter(e => !(Date.parse(e.at) <= now - SNAPSHOT_LAG_MS));
+  loan.base = { available_credit: val, at: new Date(now).toISOString(), transaction_id: txId };
+  save();
+}
+
+/**
+ * Atomically re-check credit and place a hold for an approval.
+ * Idempotent per transaction_id. Returns { ok, available } where available is AFTER the hold.
+ */
+function placeHold(loanId, transactionId, amount, fallbackBase) {
+  const amt = parseAmount(amount);
+  if (!loanId || !Number.isFinite(amt) || amt <= 0) return { ok: false, available: availableCredit(loanId, fallbackBase) };
+
+  const loan = loanEntry(loanId);
+  if (!loan.base) {
+    const fb = parseMoney(fallbackBase, { signed: true });
+    if (Number.isFinite(fb)) loan.base = { available_credit: fb, at: null, transaction_id: null };
+  }
+
+  const existing = transactionId && loan.entries.find(e => e.type === 'hold' && e.transaction_id === String(transactionId));
+  if (existing) return { ok: true, available: availableCredit(loanId, fallbackBase) };
+
+  const before = availableCredit(loanId, fallbackBase);
+  if (Number.isFinite(before) && amt > before) return { ok: false, available: before };
+
+  loan.entries.push({
+    type: 'hold',
+    transaction_id: transactionId ? String(transactionId) : null,
+    amountCents: toCents(amt),
+    at: new Date().toISOString()
+  });
+  save();
+  return { ok: true, available: availableCredit(loanId, fallbackBase) };
+}
+
+// Undo placeHold() for an approval that could not be recorded (the hold never became a real approval)
+function cancelHold(loanId, transactionId) {
+  if (!loanId || !transactionId) return false;
+  const loan = load().loans[String(loanId)];
+  if (!loan) return false;
+  const before = loan.entries.length;
+  loan.entries = loan.entries.filter(e => !(e.type === 'hold' && e.transaction_id === String(transactionId)));
+  if (loan.entries.length === before) return false;
+  save();
+  return true;
+}
+
+function appendEntry(loanId, type, transactionId, amount, reason) {
+  const amt = parseAmount(amount);
+  if (!loanId || !Number.isFinite(amt) || amt <= 0) return;
+  loanEntry(loanId).entries.push({
+    type,
+    transaction_id: transactionId ? String(transactionId) : null,
+    amountCents: toCents(amt),
+    reason: reason || null,
+    at: new Date().toISOString()
+  });
+  save();
+}
+
+// Give credit back to the loan (void, refund, or the uncaptured part of a partial capture)
+function release(loanId, transactionId, amount, reason) {
+  appendEntry(loanId, 'release', transactionId, amount, reason);
+}
+
+function recordCapture(loanId, transactionId, amount) {
+  appendEntry(loanId, 'capture', transactionId, amount, 'capture');
+}
+
+function getLoan(loanId) {
+  const loan = load().loans[String(loanId)];
+  if (!loan) return null;
+  return {
+    loan_id: String(loanId),
+    base: loan.base,
+    entries: loan.entries.map(e => ({ ...e, amount: fromCents(e.amountCents) }))
+  };
+}
+
+module.exports = {
+  availableCredit,
+  setBase,
+  placeHold,
+  cancelHold,
+  release,
+  recordCapture,
+  getLoan,
+  parseAmount,
+};
@@ -0,0 +1,114 @@
+// lib/crmSync.js
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createJobQueue } = require('./jobQueue');
+
+/**
+ * ActiveCampaign contact sync on a persistent retry queue (lib/jobQueue.js), so account updates
+ * aren't lost while AC is down. Failed syncs back off, then land in the dead-letter list for admin resync.
+ *
+ * Field mapping lives in config, not code: AC_FIELD_MAP_FILE (default config/activecampaign-fields.json),
+ * re-read when its mtime changes:
+ *   { fields: [ { field: <AC field id>, from: '<payload key>', equals?: <value>, value?: <value> } ] }
+ * An entry is sent when the payload has `from`; with `equals` it's only sent on that exact value, and
+ * `value` replaces what's sent (e.g. state === 'active' → 'YES').
+ * The job stores the mapped source values only; field ids are applied at delivery, so a mapping fix
+ * also covers jobs already queued.
+ */
+const FIELD_MAP_FILE = process.env.AC_FIELD_MAP_FILE || path.join(__dirname, '..', 'config', 'activecampaign-fields.json');
+const QUEUE_FILE = process.env.AC_SYNC_QUEUE_PATH || path.join('/mnt/data', 'ac_sync_queue.json');
+const TIMEOUT_MS = Number(process.env.AC_SYNC_TIMEOUT_MS || 10000);
+
+let fieldMap = [];
+let fieldMapMtime = null;
+
+function getFieldMap() {
+  let stat;
+  try { stat = fs.statSync(FIELD_MAP_FILE); } catch { fieldMapMtime = null; fieldMap = []; return fieldMap; }
+  if (stat.mtimeMs === fieldMapMtime) return fieldMap;
+  fieldMapMtime = stat.mtimeMs;
+  try {
+    const entries = JSON.parse(fs.readFileSync(FIELD_MAP_FILE, 'utf-8')).fields || [];
+    fieldMap = entries.filter(e => {
+      const ok = e && Number.isFinite(Number(e.field)) && e.from;
+      if (!ok) console.error('crmSync: ignoring malformed field mapping:', e);
+      return ok;
+    });
+  } catch (e) {
+    console.error('crmSync: unable to parse', FIELD_MAP_FILE, e.message);
+    fieldMap = [];
+  }
+  return fieldMap;
+}
+
+function isConfigured() {
+  return !!(process.env.AC_API_URL && process.env.AC_API_KEY);
+}
+
+function toFieldValues(source) {
+  const out = [];
+  for (const m of getFieldMap()) {
+    const v = source[m.from];
+    if (typeof v === 'undefined') continue;
+    if (Object.prototype.hasOwnProperty.call(m, 'equals') && v !== m.equals) continue;
+    out.push({ field: Number(m.field), value: Object.prototype.hasOwnProperty.call(m, 'value') ? m.value : v });
+  }
+  return out;
+}
+
+async function syncContact(job) {
+  if (!isConfigured()) throw new Error('AC_API_URL / AC_API_KEY not set');
+  const { email, fields } = job.payload;
+  const resp = await fetch(`${process.env.AC_API_URL}/api/3/contact/sync`, {
+    method: 'POST',
+    headers: { 'Api-Token': process.env.AC_API_KEY, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contact: { email, fieldValues: toFieldValues(fields || {}) } }),
+    timeout: TIMEOUT_MS
+  });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`ActiveCampaign HTTP ${resp.status}: ${text.slice(0, 200)}`);
+  }
+}
+
+const queue = createJobQueue({
+  name: 'ac-sync',
+  file: QUEUE_FILE,
+  handler: syncContact,
+  maxAttempts: Number(process.env.AC_SYNC_MAX_ATTEMPTS || 10),
+  baseDelayMs: Number(process.env.AC_SYNC_RETRY_BASE_SECONDS || 60) * 1000,
+  maxDelayMs: Number(process.env.AC_SYNC_RETRY_MAX_SECONDS || 6 * 60 * 60) * 1000
+});
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+/**
+ * Queue a contact sync from an account payload ({ email, loan_id, available_credit, ... }).
+ * `partial` is for payloads we rebuilt rather than received (admin resync): blank fields are left out,
+ * so AC keeps what it has instead of being overwritten with ''.
+ * Returns the job, or null when there is no email or AC isn't configured.
+ */
+function enqueueContactSync(payload, { reason = 'status', partial = false } = {}) {
+  const email = String((payload && payload.email) || '').trim().toLowerCase();
+  if (!email) return null;
+  if (!isConfigured()) {
+    console.log(`[AC SKIP] AC_API_URL / AC_API_KEY not set — not syncing ${reason}`);
+    return null;
+  }
+  const fields = {};
+  for (const m of getFieldMap()) {
+    const v = payload[m.from];
+    if (typeof v === 'undefined' || (partial && isBlank(v))) continue;
+    fields[m.from] = v;
+  }
+  return queue.enqueue('contact.sync', { email, fields, reason });
+}
+
+module.exports = {
+  isConfigured,
+  toFieldValues,
+  enqueueContactSync,
+  queue,
+  start: () => queue.start(),
+};
@@ -0,0 +1,95 @@
+// lib/i18n.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Message catalogs for the hosted form and the customer-facing API responses.
+ * public/locales/<lang>.json = { form: { key: text }, errors: { CODE: text } } — the form fetches the same files.
+ * Texts may use {placeholders}, filled from the values passed to t() (for errors: the response body itself).
+ * Language: `lang` query/body param, then Accept-Language, then DEFAULT_LANG. Anything French maps to fr-CA,
+ * anything else we don't carry maps to en-CA.
+ */
+const LOCALES_DIR = path.join(__dirname, '..', 'public', 'locales');
+const SUPPORTED = ['en-CA', 'fr-CA'];
+const DEFAULT_LANG = 'en-CA';
+
+const catalogs = {};
+function catalog(lang) {
+  if (!catalogs[lang]) {
+    try {
+      catalogs[lang] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${lang}.json`), 'utf-8'));
+    } catch (e) {
+      console.error(`i18n: could not load ${lang} catalog:`, e.message);
+      catalogs[lang] = {};
+    }
+  }
+  return catalogs[lang];
+}
+
+// 'fr', 'fr-FR', 'FR_ca' → 'fr-CA'; 'en-US' → 'en-CA'; unknown → null
+function normalizeLang(raw) {
+  const base = String(raw || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED.find(l => l.toLowerCase().startsWith(`${base}-`)) || null;
+}
+
+// Accept-Language: "fr-CA,fr;q=0.9,en;q=0.8" → first supported language by q
+function fromAcceptLanguage(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(x => x.tag && x.tag !== '*' && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { tag } of ranked) {
+    const lang = normalizeLang(tag);
+    if (lang) return lang;
+  }
+  return null;
+}
+
+function resolveLang(req) {
+  return normalizeLang(req.query && req.query.lang)
+    || normalizeLang(req.body && req.body.lang)
+    || fromAcceptLanguage(req.headers['accept-language'])
+    || DEFAULT_LANG;
+}
+
+// t('fr-CA', 'errors.TWIST_MISMATCH') — falls back to the default language, then to null
+function t(lang, key, vars = {}) {
+  const lookup = (l) => key.split('.').reduce((node, k) => (node && typeof node === 'object' ? node[k] : undefined), catalog(l));
+  let text = lookup(lang);
+  if (typeof text !== 'string' && lang !== DEFAULT_LANG) text = lookup(DEFAULT_LANG);
+  if (typeof text !== 'string') return null;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+}
+
+/**
+ * Express middleware: responses with a `code` get their `message` from the caller's catalog
+ * (unknown codes keep the server's English text). Sets Content-Language.
+ */
+function localizeResponses(req, res, next) {
+  const lang = resolveLang(req);
+  req.lang = lang;
+  res.set('Content-Language', lang);
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    if (payload && typeof payload === 'object' && payload.code) {
+      const message = t(lang, `errors.${payload.code}`, payload);
+      if (message) payload = { ...payload, message };
+    }
+    return json(payload);
+  };
+  next();
+}
+
+module.exports = {
+  SUPPORTED,
+  DEFAULT_LANG,
+  normalizeLang,
+  resolveLang,
+  t,
+  localizeResponses,
+};
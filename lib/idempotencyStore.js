@@ -0,0 +1,105 @@
+// lib/idempotencyStore.js
+const path = require('path');
+const crypto = require('crypto');
+const jsonStore = require('./jsonStore');
+
+/**
+ * Bounded, persisted idempotency key store.
+ * - Completed responses are kept (status + body) so a retried request can be answered verbatim.
+ * - In-flight keys live only in memory; a crash mid-request simply lets the retry run again.
+ * - Oldest keys are evicted beyond MAX_KEYS; keys expire after TTL_MS.
+ */
+const IDEMPOTENCY_PATH = process.env.IDEMPOTENCY_STORE_PATH || path.join('/mnt/data', 'idempotency_keys.json');
+const MAX_KEYS = Number(process.env.IDEMPOTENCY_MAX_KEYS || 5000);
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+let entries = null;        // Map `${scope}|${key}` -> { fingerprint, status, body, createdAt }
+const inFlight = new Map(); // Map `${scope}|${key}` -> fingerprint
+
+// Deterministic JSON (sorted keys) so the same body always hashes the same
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+function isExpired(e, now = Date.now()) {
+  return !e || (now - Date.parse(e.createdAt)) > TTL_MS;
+}
+
+function load() {
+  if (entries) return entries;
+  entries = new Map();
+  try {
+    for (const [k, e] of jsonStore.readJson(IDEMPOTENCY_PATH, {}).entries || []) {
+      if (!isExpired(e)) entries.set(k, e);
+    }
+  } catch (e) {
+    console.error('idempotencyStore unreadable (starting empty):', e.message);
+  }
+  return entries;
+}
+
+// Cache only — no backup generations needed
+function save() {
+  try {
+    jsonStore.writeJson(IDEMPOTENCY_PATH, { entries: Array.from(entries) }, { pretty: false, backups: 0 });
+  } catch (e) {
+    console.error('idempotencyStore save error:', e);
+  }
+}
+
+function prune() {
+  const now = Date.now();
+  for (const [k, e] of entries) {
+    if (isExpired(e, now)) entries.delete(k);
+  }
+  // Map keeps insertion order → first keys are the oldest
+  while (entries.size > MAX_KEYS) entries.delete(entries.keys().next().value);
+}
+
+/**
+ * Start handling a keyed request.
+ * Returns { state: 'new' | 'replay' | 'conflict' | 'in_flight', status?, body? }.
+ */
+function begin(scope, key, fp) {
+  const id = `${scope}|${key}`;
+  const done = load().get(id);
+  if (done && !isExpired(done)) {
+    if (done.fingerprint !== fp) return { state: 'conflict' };
+    return { state: 'replay', status: done.status, body: done.body };
+  }
+  if (inFlight.has(id)) {
+    return { state: inFlight.get(id) === fp ? 'in_flight' : 'conflict' };
+  }
+  inFlight.set(id, fp);
+  return { state: 'new' };
+}
+
+function complete(scope, key, status, body) {
+  const id = `${scope}|${key}`;
+  const fp = inFlight.get(id);
+  inFlight.delete(id);
+  if (!fp) return;
+  load().set(id, { fingerprint: fp, status, body, createdAt: new Date().toISOString() });
+  prune();
+  save();
+}
+
+// Forget an in-flight key without storing a response (e.g. server errors, so the client may retry)
+function abort(scope, key) {
+  inFlight.delete(`${scope}|${key}`);
+}
+
+module.exports = {
+  fingerprint,
+  begin,
+  complete,
+  abort,
+};
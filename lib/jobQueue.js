@@ -0,0 +1,177 @@
+// lib/jobQueue.js
+const crypto = require('crypto');
+const jsonStore = require('./jsonStore');
+
+/**
+ * Small persistent background queue with retries, for side effects that must survive a restart
+ * (outbound webhooks, CRM sync).
+ *   createJobQueue({ name, file, handler, maxAttempts, baseDelayMs, maxDelayMs, pollMs })
+ * - enqueue(type, payload) stores the job and runs it right away; handler(job) resolves on success, throws to retry.
+ * - Retries back off exponentially (baseDelayMs · 2^(attempt-1), ±20% jitter, capped at maxDelayMs).
+ * - After maxAttempts the job moves to the dead-letter list; replay(id) puts it back with a fresh attempt budget.
+ * - State { jobs, dead } lives in `file` (jsonStore). A job is only removed after its handler succeeded,
+ *   so a crash mid-run means it runs again: delivery is at-least-once and handlers must tolerate repeats.
+ * - One job at a time per queue; a timer (unref'd) picks up due retries every pollMs.
+ */
+const DEAD_LETTER_MAX = Number(process.env.JOB_DEAD_LETTER_MAX || 1000);
+
+function createJobQueue({
+  name,
+  file,
+  handler,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  pollMs = 5000
+}) {
+  let state = null; // { jobs: [], dead: [] }
+  let running = false;
+  let rerun = false;
+  let timer = null;
+
+  function load() {
+    if (state) return state;
+    let data = {};
+    try {
+      data = jsonStore.readJson(file, {});
+    } catch (e) {
+      console.error(`jobQueue(${name}): unreadable state, starting empty:`, e.message);
+    }
+    state = { jobs: Array.isArray(data.jobs) ? data.jobs : [], dead: Array.isArray(data.dead) ? data.dead : [] };
+    return state;
+  }
+
+  function save() {
+    try {
+      jsonStore.writeJson(file, state, { pretty: false, backups: 1 });
+    } catch (e) {
+      console.error(`jobQueue(${name}) save error:`, e);
+    }
+  }
+
+  function backoffMs(attempts) {
+    const raw = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(raw * (0.8 + Math.random() * 0.4));
+  }
+
+  function enqueue(type, payload) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${crypto.randomBytes(9).toString('base64url')}`,
+      type,
+      payload,
+      attempts: 0,
+      created_at: now,
+      next_attempt_at: now,
+      last_error: null
+    };
+    load().jobs.push(job);
+    save();
+    kick();
+    return job;
+  }
+
+  async function runJob(job) {
+    job.attempts++;
+    job.last_attempt_at = new Date().toISOString();
+    try {
+      await handler(job);
+      state.jobs = state.jobs.filter(j => j.id !== job.id);
+      return true;
+    } catch (e) {
+      job.last_error = String((e && e.message) || e).slice(0, 500);
+      if (job.attempts >= maxAttempts) {
+        state.jobs = state.jobs.filter(j => j.id !== job.id);
+        job.dead_at = new Date().toISOString();
+        state.dead.push(job);
+        if (state.dead.length > DEAD_LETTER_MAX) state.dead.splice(0, state.dead.length - DEAD_LETTER_MAX);
+        console.error(`jobQueue(${name}): ${job.type} ${job.id} dead after ${job.attempts} attempts: ${job.last_error}`);
+      } else {
+        job.next_attempt_at = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+      }
+      return false;
+    } finally {
+      save();
+    }
+  }
+
+  // Runs every due job once; returns { succeeded, failed }
+  async function runDue() {
+    if (running) {
+      rerun = true;
+      return { succeeded: 0, failed: 0 };
+    }
+    running = true;
+    const out = { succeeded: 0, failed: 0 };
+    try {
+      do {
+        rerun = false;
+        const now = Date.now();
+        const due = load().jobs.filter(j => Date.parse(j.next_attempt_at) <= now);
+        for (const job of due) {
+          if (await runJob(job)) out.succeeded++;
+          else out.failed++;
+        }
+      } while (rerun);
+    } finally {
+      running = false;
+    }
+    return out;
+  }
+
+  function kick() {
+    setImmediate(() => runDue().catch(e => console.error(`jobQueue(${name}) run error:`, e)));
+  }
+
+  function start() {
+    if (timer) return;
+    load();
+    timer = setInterval(() => runDue().catch(e => console.error(`jobQueue(${name}) run error:`, e)), pollMs);
+    timer.unref();
+    kick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function stats() {
+    const { jobs, dead } = load();
+    const next = jobs.reduce((min, j) => (!min || j.next_attempt_at < min ? j.next_attempt_at : min), null);
+    return { name, pending: jobs.length, dead: dead.length, next_attempt_at: next };
+  }
+
+  const listPending = () => load().jobs.slice();
+  const listDead = () => load().dead.slice().reverse(); // newest first
+
+  // Dead letter → back on the queue with a fresh attempt budget; null if unknown
+  function replay(id) {
+    const { dead, jobs } = load();
+    const i = dead.findIndex(j => j.id === id);
+    if (i < 0) return null;
+    const [job] = dead.splice(i, 1);
+    delete job.dead_at;
+    job.attempts = 0;
+    job.replayed_at = new Date().toISOString();
+    job.next_attempt_at = job.replayed_at;
+    jobs.push(job);
+    save();
+    kick();
+    return job;
+  }
+
+  return {
+    name,
+    enqueue,
+    runDue,
+    start,
+    stop,
+    stats,
+    listPending,
+    listDead,
+    replay,
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,120 @@
+// lib/jsonStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Crash-safe JSON files:
+ * - writeJson(): write to a temp file, fsync, rotate backup generations (<file>.bak.1 … .bak.N), then rename over the target.
+ *   rename() is atomic, so readers see either the old or the new file, never half of one.
+ * - updateJson(): read-modify-write under a per-file lock. All IO here is synchronous, so two writers in this
+ *   process can never interleave; the lock additionally rejects re-entrant updates of the same file.
+ * - readJson(): a missing file yields the fallback; an unparseable file falls back to the newest readable backup
+ *   for READS only. updateJson() refuses to write over a corrupt file (JsonStoreError code 'ECORRUPT').
+ */
+const BACKUP_GENERATIONS = Number(process.env.JSON_BACKUP_GENERATIONS || 3);
+
+class JsonStoreError extends Error {
+  constructor(message, code, file) {
+    super(message);
+    this.name = 'JsonStoreError';
+    this.code = code;
+    this.file = file;
+  }
+}
+
+const locks = new Set();
+
+const backupPath = (file, n) => `${file}.bak.${n}`;
+
+function parseFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Returns { data, state } where state is 'ok' | 'missing' | 'recovered' (served from a backup).
+ * Throws JsonStoreError('ECORRUPT') when neither the file nor any backup parses.
+ */
+function readJsonState(file, fallback = {}) {
+  if (!fs.existsSync(file)) return { data: fallback, state: 'missing' };
+  try {
+    return { data: parseFile(file), state: 'ok' };
+  } catch (e) {
+    console.error(`jsonStore: ${file} is unparseable:`, e.message);
+  }
+  for (let n = 1; n <= BACKUP_GENERATIONS; n++) {
+    const b = backupPath(file, n);
+    if (!fs.existsSync(b)) continue;
+    try {
+      const data = parseFile(b);
+      console.error(`jsonStore: serving ${file} from backup ${b}`);
+      return { data, state: 'recovered' };
+    } catch {}
+  }
+  throw new JsonStoreError(`${path.basename(file)} is corrupt and no backup could be read`, 'ECORRUPT', file);
+}
+
+function readJson(file, fallback = {}) {
+  return readJsonState(file, fallback).data;
+}
+
+function rotateBackups(file, generations) {
+  if (generations <= 0 || !fs.existsSync(file)) return;
+  for (let n = generations; n > 1; n--) {
+    const from = backupPath(file, n - 1);
+    if (fs.existsSync(from)) fs.renameSync(from, backupPath(file, n));
+  }
+  fs.copyFileSync(file, backupPath(file, 1));
+}
+
+function writeJson(file, data, { pretty = true, backups = BACKUP_GENERATIONS } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const body = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, body);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    rotateBackups(file, backups);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw e;
+  }
+}
+
+/**
+ * Read-modify-write. mutator(data) mutates data in place and returns { changed, result };
+ * changed === false skips the write. Returns `result`.
+ */
+function updateJson(file, mutator, { fallback = {}, pretty = true, backups = BACKUP_GENERATIONS } = {}) {
+  if (locks.has(file)) {
+    throw new JsonStoreError(`Re-entrant update of ${path.basename(file)}`, 'ELOCKED', file);
+  }
+  locks.add(file);
+  try {
+    const { data, state } = readJsonState(file, fallback);
+    if (state === 'recovered') {
+      throw new JsonStoreError(`${path.basename(file)} is corrupt; refusing to overwrite (restore a backup first)`, 'ECORRUPT', file);
+    }
+    const out = mutator(data) || {};
+    if (out.changed !== false) writeJson(file, data, { pretty, backups });
+    return out.result;
+  } finally {
+    locks.delete(file);
+  }
+}
+
+module.exports = {
+  JsonStoreError,
+  readJson,
+  readJsonState,
+  writeJson,
+  updateJson,
+};
@@ -0,0 +1,280 @@
+// lib/logStore.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const twistCodes = require('./twistCodes');
+const lookupStore = require('./lookupStore');
+const redaction = require('./redaction');
+const { phonesFromEntry, emailsFromEntry, last10 } = require('./records');
+
+/**
+ * Indexed view over the webhook logs:
+ * - Primary path from env LOG_FILE_PATH or defaults to /mnt/data/webhook_logs.txt (persistent on Render)
+ * - Fallback path from env LOG_FALLBACK_PATH or the app directory's ./webhook_logs.txt
+ * - append() writes to both; the files remain the audit trail.
+ * - Both files are parsed ONCE at boot; afterwards only newly appended bytes are read (tracked per file offset),
+ *   so lines written by another process are picked up too.
+ * - In-memory indexes (newest → oldest, capped per key): loan_id last-6, phone last-10, email, HMAC(loan|exp).
+ * - Redacted log lines (`_redacted`) are skipped; their lookup fields are indexed from the encrypted lookup store instead.
+ * - pruneLogs(): lines older than LOG_RETENTION_DAYS are moved (redacted, gzipped) to LOG_ARCHIVE_DIR, or deleted
+ *   when LOG_ARCHIVE=off; the lookup store is compacted in the same pass.
+ */
+const LOG_PRIMARY = process.env.LOG_FILE_PATH || path.join('/mnt/data', 'webhook_logs.txt');
+const LOG_FALLBACK = process.env.LOG_FALLBACK_PATH || path.join(__dirname, '..', 'webhook_logs.txt');
+const INDEX_DEPTH = Number(process.env.LOG_INDEX_DEPTH || 20); // entries kept per key
+const RETENTION_DAYS = Number(process.env.LOG_RETENTION_DAYS || 90); // 0 = keep forever
+const ARCHIVE_DIR = process.env.LOG_ARCHIVE_DIR || path.join('/mnt/data', 'log_archive');
+const ARCHIVE_ENABLED = String(process.env.LOG_ARCHIVE || 'on').toLowerCase() !== 'off';
+
+// Accept ANY line that contains a JSON object (old logs might not have "/store-status:" marker)
+function decodeLogLine(line) {
+  const jsonMatch = line.match(/{.*}/);
+  if (!jsonMatch) return null;
+  let payload;
+  try { payload = JSON.parse(jsonMatch[0]); } catch { return null; }
+  if (!payload || typeof payload !== 'object' || payload._redacted) return null;
+  return { timestamp: getTimestampFromLogLine(line), payload };
+}
+
+const files = [
+  { path: LOG_PRIMARY, decode: decodeLogLine },
+  { path: LOG_FALLBACK, decode: decodeLogLine },
+  { path: lookupStore.LOOKUP_STORE_PATH, decode: lookupStore.decodeLine },
+].map(f => ({ ...f, offset: 0 }));
+let indexes = null; // { byLoan6, byPhone, byEmail, byKey } : Map key -> [entry,...] newest first
+let lineCount = 0;
+
+function emptyIndexes() {
+  return { byLoan6: new Map(), byPhone: new Map(), byEmail: new Map(), byKey: new Map() };
+}
+
+function getTimestampFromLogLine(line) {
+  if (!line) return null;
+  const tsStart = line.indexOf('[');
+  const tsEnd = line.indexOf(']');
+  return tsStart >= 0 && tsEnd > tsStart ? line.slice(tsStart + 1, tsEnd) : null;
+}
+
+function addToIndex(map, key, entry) {
+  if (!key) return;
+  let list = map.get(key);
+  if (!list) { list = []; map.set(key, list); }
+  if (list.some(e => e.line === entry.line)) return; // same line from the other log file
+
+  // keep newest first; equal/unknown timestamps keep arrival order
+  let i = 0;
+  while (i < list.length && (list[i].ts === null ? -Infinity : list[i].ts) >= (entry.ts === null ? -Infinity : entry.ts)) i++;
+  list.splice(i, 0, entry);
+  if (list.length > INDEX_DEPTH) list.length = INDEX_DEPTH;
+}
+
+function ingestLine(line, decode) {
+  const decoded = decode(line);
+  if (!decoded) return;
+  const { timestamp, payload } = decoded;
+  const parsed = timestamp ? Date.parse(timestamp) : NaN;
+  const entry = { line, timestamp, ts: isNaN(parsed) ? null : parsed, payload };
+  lineCount++;
+
+  const loanId = String(payload.loan_id || '');
+  if (loanId.length >= 6) addToIndex(indexes.byLoan6, loanId.slice(-6), entry);
+
+  for (const p of phonesFromEntry(payload)) addToIndex(indexes.byPhone, last10(p).length === 10 ? last10(p) : null, entry);
+  for (const e of emailsFromEntry(payload)) addToIndex(indexes.byEmail, e, entry);
+
+  if (payload.loan_id && payload.contract_expiration && twistCodes.isConfigured()) {
+    addToIndex(indexes.byKey, twistCodes.codeKey(payload.loan_id, payload.contract_expiration), entry);
+  }
+}
+
+// Read whatever was appended to each file since the last call (complete lines only)
+function refresh() {
+  if (!indexes) {
+    indexes = emptyIndexes();
+    lineCount = 0;
+    files.forEach(f => { f.offset = 0; });
+  }
+
+  for (const f of files) {
+    let size;
+    try { size = fs.statSync(f.path).size; } catch { continue; }
+    if (size < f.offset) { // truncated or rotated → rebuild from scratch
+      indexes = null;
+      return refresh();
+    }
+    if (size === f.offset) continue;
+
+    let buf;
+    try {
+      const fd = fs.openSync(f.path, 'r');
+      try {
+        buf = Buffer.alloc(size - f.offset);
+        fs.readSync(fd, buf, 0, buf.length, f.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      console.error('logStore read failed:', f.path, e);
+      continue;
+    }
+
+    const lastNl = buf.lastIndexOf(0x0a);
+    if (lastNl < 0) continue; // partial line still being written
+    f.offset += lastNl + 1;
+    for (const line of buf.slice(0, lastNl).toString('utf-8').split('\n')) {
+      if (line) ingestLine(line, f.decode);
+    }
+  }
+}
+
+// Touch primary and build the indexes once at boot
+function init() {
+  try {
+    fs.mkdirSync(path.dirname(LOG_PRIMARY), { recursive: true });
+    fs.closeSync(fs.openSync(LOG_PRIMARY, 'a'));
+  } catch (e) {
+    console.error('Unable to touch primary log file:', LOG_PRIMARY, e);
+  }
+  indexes = null;
+  refresh();
+  return { lines: lineCount, loans: indexes.byLoan6.size, phones: indexes.byPhone.size };
+}
+
+/**
+ * Audit line → both log files (callers redact first); lookupPayload → encrypted lookup store when configured.
+ * strict: rethrow lookup store / primary log write failures instead of only logging them (the fallback file stays best-effort).
+ */
+function append(line, { timestamp, lookupPayload, strict = false } = {}) {
+  if (lookupPayload) {
+    try { lookupStore.append(timestamp || new Date().toISOString(), lookupPayload); } catch (e) {
+      console.error('lookup store write failed', e);
+      if (strict) throw e;
+    }
+  }
+  try { fs.appendFileSync(LOG_PRIMARY, line); } catch (e) {
+    console.error('write primary failed', e);
+    if (strict) throw e;
+  }
+  try { fs.appendFileSync(LOG_FALLBACK, line); } catch (_) { /* ignore fallback write errors */ }
+  refresh();
+}
+
+// Log redaction needs the encrypted lookup store: the indexes read account fields from there instead
+const redactionActive = () => redaction.isEnabled() && lookupStore.isConfigured();
+
+/**
+ * Audit line for an incoming request, payload redacted per policy (lib/redaction.js).
+ * lookup: true also stores the lookup fields of the unredacted payload in the encrypted lookup store.
+ */
+function logRequest(route, payload, { lookup = false, strict = false } = {}) {
+  const timestamp = new Date().toISOString();
+  const redact = redactionActive();
+  const line = `[${timestamp}] Incoming POST ${route}: ${JSON.stringify(redact ? redaction.redactPayload(payload) : payload)}\n`;
+  console.log(line);
+  append(line, { timestamp, lookupPayload: lookup && redact ? payload : null, strict });
+}
+
+function lookup(map, key) {
+  refresh();
+  return (indexes[map].get(key) || []).map(e => ({ timestamp: e.timestamp, payload: e.payload }));
+}
+
+// Newest → oldest entries for a key; each item is { timestamp, payload }
+const byLoanIdEndsWith = (last6) => lookup('byLoan6', String(last6 || ''));
+const byPhoneLast10 = (l10) => lookup('byPhone', String(l10 || ''));
+const byEmail = (email) => lookup('byEmail', String(email || '').trim().toLowerCase());
+const byLoanExpKey = (key) => lookup('byKey', String(key || ''));
+
+// Every indexed payload (logs + lookup store), newest → oldest — for admin backfills
+function allPayloads() {
+  const out = [];
+  for (const f of files) {
+    let raw;
+    try { raw = fs.readFileSync(f.path, 'utf-8'); } catch { continue; }
+    for (const line of raw.split('\n')) {
+      const d = line && f.decode(line);
+      if (d) out.push({ ...d, ts: Date.parse(d.timestamp) });
+    }
+  }
+  return out
+    .sort((a, b) => (isNaN(b.ts) ? -Infinity : b.ts) - (isNaN(a.ts) ? -Infinity : a.ts))
+    .map(({ timestamp, payload }) => ({ timestamp, payload }));
+}
+
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Apply the retention window to both log files. Old lines from the primary log are redacted and appended to a
+ * gzip archive per month (gzip members concatenate); the fallback holds the same lines, so it is only trimmed.
+ * Unredacted lines are carried into the lookup store first (once, even when both files hold them), so accounts keep
+ * resolving after their lines age out; without LOOKUP_STORE_KEY nothing is pruned.
+ * Returns { cutoff, archived, removed, carried, lookup } or { skipped }.
+ */
+function pruneLogs(now = Date.now()) {
+  if (!RETENTION_DAYS) return { skipped: 'LOG_RETENTION_DAYS=0' };
+  if (!lookupStore.isConfigured()) return { skipped: 'LOOKUP_STORE_KEY not set' };
+
+  const result = { cutoff: null, archived: 0, removed: 0, carried: 0, lookup: null };
+  const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  result.cutoff = new Date(cutoff).toISOString();
+
+  const carried = new Set(); // the fallback mirrors the primary: carry each line into the lookup store once
+  for (const f of files.slice(0, 2)) {
+    let raw;
+    try { raw = fs.readFileSync(f.path, 'utf-8'); } catch { continue; }
+    const keep = [];
+    const old = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      const ts = Date.parse(getTimestampFromLogLine(line));
+      (!isNaN(ts) && ts < cutoff ? old : keep).push(line);
+    }
+    if (!old.length) continue;
+
+    for (const line of old) {
+      if (carried.has(line)) continue;
+      carried.add(line);
+      const d = decodeLogLine(line);
+      if (d) { lookupStore.append(d.timestamp, d.payload); result.carried++; }
+    }
+
+    if (f.path === LOG_PRIMARY && ARCHIVE_ENABLED) {
+      const byMonth = new Map();
+      for (const line of old) {
+        const month = getTimestampFromLogLine(line).slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(redaction.redactLine(line));
+      }
+      fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+      for (const [month, lines] of byMonth) {
+        fs.appendFileSync(path.join(ARCHIVE_DIR, `webhook_logs-${month}.txt.gz`), zlib.gzipSync(lines.join('\n') + '\n'));
+      }
+      result.archived += old.length;
+    }
+    writeFileAtomic(f.path, keep.length ? keep.join('\n') + '\n' : '');
+    result.removed += old.length;
+  }
+
+  result.lookup = lookupStore.compact(now);
+  indexes = null; // files were rewritten → rebuild from scratch
+  refresh();
+  return result;
+}
+
+module.exports = {
+  LOG_PRIMARY,
+  LOG_FALLBACK,
+  init,
+  append,
+  logRequest,
+  byLoanIdEndsWith,
+  byPhoneLast10,
+  byEmail,
+  byLoanExpKey,
+  allPayloads,
+  pruneLogs,
+};
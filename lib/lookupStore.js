@@ -0,0 +1,140 @@
+// lib/lookupStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { phonesFromEntry, emailsFromEntry } = require('./records');
+
+/**
+ * Encrypted journal of the account fields lookups need (loan, expiration, phones, emails, postal, province,
+ * available credit, product code), so the webhook logs themselves can be redacted (see lib/redaction.js).
+ * One line per /store-status payload: {"at","kid","iv","tag","ct"} — AES-256-GCM under LOOKUP_STORE_KEY
+ * (32 bytes, hex or base64). logStore indexes these lines next to the (legacy, unredacted) log lines.
+ * compact() keeps the newest entry of every loan forever and older entries only for LOOKUP_RETENTION_DAYS.
+ * seal()/open() encrypt the same field subset for other stores (payloadIndex keeps its account fields this way).
+ */
+const LOOKUP_STORE_PATH = process.env.LOOKUP_STORE_PATH || path.join('/mnt/data', 'lookup_store.jsonl');
+const RETENTION_MS = Number(process.env.LOOKUP_RETENTION_DAYS || 90) * 24 * 60 * 60 * 1000;
+
+// Only these fields are kept (phones/emails are collected from any phone-/email-like field)
+const LOOKUP_FIELDS = ['transaction_id', 'status', 'loan_id', 'contract_expiration', 'postal_code', 'province', 'available_credit', 'product_code'];
+
+let key = null;
+function getKey() {
+  if (key) return key;
+  const raw = String(process.env.LOOKUP_STORE_KEY || '').trim();
+  if (!raw) return null;
+  const buf = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (buf.length !== 32) {
+    console.error('lookupStore: LOOKUP_STORE_KEY must be 32 bytes (hex or base64)');
+    return null;
+  }
+  key = { buf, kid: crypto.createHash('sha256').update(buf).digest('hex').slice(0, 8) };
+  return key;
+}
+
+function isConfigured() {
+  return !!getKey();
+}
+
+function pickLookupFields(payload) {
+  const src = payload || {};
+  const out = {
+    ...Object.fromEntries(LOOKUP_FIELDS.map(f => [f, src[f]]).filter(([, v]) => v !== undefined && v !== null && v !== '')),
+    phones: phonesFromEntry(src),
+    emails: emailsFromEntry(src)
+  };
+  if (!out.postal_code && src.postal) out.postal_code = src.postal;
+  if (!out.province && src.state) out.province = src.state;
+  return out;
+}
+
+// { kid, iv, tag, ct } holding the lookup fields of payload, or null when no key is configured
+function seal(payload) {
+  const k = getKey();
+  if (!k) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', k.buf, iv);
+  const ct = Buffer.concat([cipher.update(JSON.stringify(pickLookupFields(payload)), 'utf-8'), cipher.final()]);
+  return {
+    kid: k.kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ct: ct.toString('base64')
+  };
+}
+
+// The fields inside a sealed envelope, or null (not ours / wrong key / tampered)
+function open(envelope) {
+  const k = getKey();
+  if (!k || !envelope || envelope.kid !== k.kid) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', k.buf, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.ct, 'base64')), decipher.final()]).toString('utf-8');
+    return JSON.parse(plain);
+  } catch {
+    return null;
+  }
+}
+
+function encodeLine(timestamp, payload) {
+  return JSON.stringify({ at: timestamp, ...seal(payload) });
+}
+
+// { timestamp, payload } or null (not ours / wrong key / tampered)
+function decodeLine(line) {
+  let rec;
+  try { rec = JSON.parse(line); } catch { return null; }
+  const payload = rec && open(rec);
+  return payload ? { timestamp: rec.at || null, payload } : null;
+}
+
+function append(timestamp, payload) {
+  if (!isConfigured()) return false;
+  fs.mkdirSync(path.dirname(LOOKUP_STORE_PATH), { recursive: true });
+  fs.appendFileSync(LOOKUP_STORE_PATH, encodeLine(timestamp, payload) + '\n');
+  return true;
+}
+
+/**
+ * Drop superseded entries older than the retention window. Lines we can't decrypt are kept untouched.
+ * Returns { kept, dropped }.
+ */
+function compact(now = Date.now()) {
+  if (!isConfigured() || !fs.existsSync(LOOKUP_STORE_PATH)) return { kept: 0, dropped: 0 };
+  const lines = fs.readFileSync(LOOKUP_STORE_PATH, 'utf-8').split('\n').filter(Boolean);
+  const cutoff = now - RETENTION_MS;
+  const newestIdxByLoan = new Map();
+
+  const decoded = lines.map((line, i) => {
+    const d = decodeLine(line);
+    const loan = d && d.payload.loan_id ? String(d.payload.loan_id) : null;
+    const ts = d && d.timestamp ? Date.parse(d.timestamp) : NaN;
+    if (loan) {
+      const prev = newestIdxByLoan.get(loan);
+      if (prev === undefined || !(ts < prev.ts)) newestIdxByLoan.set(loan, { i, ts });
+    }
+    return { line, ok: !!d, loan, ts };
+  });
+
+  const keep = decoded.filter((d, i) => {
+    if (!d.ok || isNaN(d.ts) || d.ts >= cutoff) return true;
+    return !!d.loan && newestIdxByLoan.get(d.loan).i === i;
+  });
+  if (keep.length === lines.length) return { kept: lines.length, dropped: 0 };
+
+  const tmp = `${LOOKUP_STORE_PATH}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, keep.map(d => d.line).join('\n') + (keep.length ? '\n' : ''));
+  fs.renameSync(tmp, LOOKUP_STORE_PATH);
+  return { kept: keep.length, dropped: lines.length - keep.length };
+}
+
+module.exports = {
+  LOOKUP_STORE_PATH,
+  isConfigured,
+  seal,
+  open,
+  append,
+  decodeLine,
+  compact,
+};
@@ -0,0 +1,158 @@
+// lib/merchants.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Merchant registry:
+ *   { merchants: [ { id, name, origins: ['https://shop.example'], api_key_id?, webhook_url?, webhook_secret?, disabled? } ] }
+ * Source: env MERCHANTS_JSON or the file at MERCHANTS_FILE (default config/merchants.json), re-read when its mtime changes.
+ * - origins: scheme://host[:port] the merchant's pages are served from — drives CORS, who gets an embed token
+ *   (GET /embed-token) and so which sites may frame the hosted form.
+ * - api_key_id: id of the merchant's key in the API key registry (lib/apiKeys.js); calls made with it act for this merchant.
+ * - webhook_url / webhook_secret: the merchant's own outbound webhook, limited to its transactions (lib/webhooks.js).
+ *   Keep secrets out of the checked-in file — point MERCHANTS_FILE at /mnt/data or use MERCHANTS_JSON.
+ * DEFAULT_MERCHANT_ID (default 'twistcard') is stamped on transactions nothing else attributes to a merchant.
+ */
+const MERCHANTS_FILE = process.env.MERCHANTS_FILE || path.join(__dirname, '..', 'config', 'merchants.json');
+
+let fileEntries = [];
+let fileMtime = null;
+
+function normalizeOrigin(value) {
+  try {
+    const u = new URL(String(value || '').trim());
+    return /^https?:$/.test(u.protocol) ? u.origin.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeEntry(m, source) {
+  if (!m || !m.id || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(String(m.id))) {
+    console.error(`merchants: ignoring malformed entry from ${source}:`, m && m.id);
+    return null;
+  }
+  return {
+    id: String(m.id),
+    name: m.name || String(m.id),
+    origins: (Array.isArray(m.origins) ? m.origins : []).map(normalizeOrigin).filter(Boolean),
+    api_key_id: m.api_key_id || null,
+    webhook_url: m.webhook_url || null,
+    webhook_secret: m.webhook_secret || null,
+    disabled: !!m.disabled,
+    source
+  };
+}
+
+function readFileEntries() {
+  let stat;
+  try { stat = fs.statSync(MERCHANTS_FILE); } catch { fileMtime = null; fileEntries = []; return fileEntries; }
+  if (stat.mtimeMs === fileMtime) return fileEntries;
+  fileMtime = stat.mtimeMs;
+  try {
+    fileEntries = JSON.parse(fs.readFileSync(MERCHANTS_FILE, 'utf-8')).merchants || [];
+  } catch (e) {
+    console.error('merchants: unable to parse', MERCHANTS_FILE, e.message);
+    fileEntries = [];
+  }
+  return fileEntries;
+}
+
+function readEnvEntries() {
+  if (!process.env.MERCHANTS_JSON) return [];
+  try {
+    return JSON.parse(process.env.MERCHANTS_JSON).merchants || [];
+  } catch (e) {
+    console.error('merchants: unable to parse MERCHANTS_JSON', e.message);
+    return [];
+  }
+}
+
+// Env entries win over file entries with the same id
+function getMerchants() {
+  const byId = new Map();
+  for (const m of readFileEntries().map(e => normalizeEntry(e, 'file'))) if (m) byId.set(m.id, m);
+  for (const m of readEnvEntries().map(e => normalizeEntry(e, 'env'))) if (m) byId.set(m.id, m);
+  return [...byId.values()];
+}
+
+const activeMerchants = () => getMerchants().filter(m => !m.disabled);
+
+// Active merchant by id, or null
+function getMerchant(id) {
+  if (!id) return null;
+  return activeMerchants().find(m => m.id === String(id)) || null;
+}
+
+// Active merchant whose API key this is, or null
+function findByApiKeyId(keyId) {
+  if (!keyId) return null;
+  return activeMerchants().find(m => m.api_key_id === keyId) || null;
+}
+
+function defaultMerchantId() {
+  const id = String(process.env.DEFAULT_MERCHANT_ID || 'twistcard').trim();
+  return getMerchant(id) ? id : null;
+}
+
+// Origins of one merchant, or of every active merchant when no id is given
+function allowedOrigins(merchantId) {
+  const list = merchantId ? [getMerchant(merchantId)].filter(Boolean) : activeMerchants();
+  return [...new Set(list.flatMap(m => m.origins))];
+}
+
+function isAllowedOrigin(origin, merchantId) {
+  const o = normalizeOrigin(origin);
+  return !!o && allowedOrigins(merchantId).includes(o);
+}
+
+// Admin view — never includes the webhook secret
+function listMerchants() {
+  return getMerchants().map(({ webhook_secret, ...m }) => ({ ...m, webhook_secret_set: !!webhook_secret }));
+}
+
+const SETTLED_STATUSES = ['approved', 'captured', 'partially_refunded', 'refunded'];
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Settlement totals for one merchant's transactions created in [from, to) (ISO dates/times, both optional).
+ * gross = approved amounts (captured amount once captured), net = gross − refunds; voided/denied/pending only count.
+ */
+function settlementReport(merchantId, transactions, { from = null, to = null } = {}) {
+  const out = {
+    merchant_id: merchantId,
+    from,
+    to,
+    count: 0,
+    by_status: {},
+    gross_amount: 0,
+    refunded_amount: 0,
+    net_amount: 0
+  };
+  for (const tx of transactions) {
+    if (tx.merchant_id !== merchantId) continue;
+    if (from && String(tx.createdAt) < from) continue;
+    if (to && String(tx.createdAt) >= to) continue;
+    out.count++;
+    out.by_status[tx.status] = (out.by_status[tx.status] || 0) + 1;
+    if (!SETTLED_STATUSES.includes(tx.status)) continue;
+    const gross = Number(tx.captured_amount ?? tx.amount) || 0;
+    const refunded = Number(tx.refunded_amount || 0);
+    out.gross_amount = round2(out.gross_amount + gross);
+    out.refunded_amount = round2(out.refunded_amount + refunded);
+  }
+  out.net_amount = round2(out.gross_amount - out.refunded_amount);
+  return out;
+}
+
+module.exports = {
+  normalizeOrigin,
+  getMerchant,
+  findByApiKeyId,
+  defaultMerchantId,
+  allowedOrigins,
+  isAllowedOrigin,
+  listMerchants,
+  activeMerchants,
+  settlementReport,
+};
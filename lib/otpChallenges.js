@@ -0,0 +1,140 @@
+// lib/otpChallenges.js
+const crypto = require('crypto');
+
+/**
+ * Server-side OTP challenges. /otp/derive-phone creates one after the card checks pass; the browser only ever
+ * sees the opaque id and the phone's last 4 digits. The phone, the loan and the card suffix stay here, so the
+ * code can only be sent to (and verified for) the phone on file for that card.
+ * Per challenge: expiry, resend cooldown + send cap, verify attempt cap. In memory only — a restart means
+ * the customer presses NEXT STEP again.
+ * A verification pays for one transaction only: the first /pre-validate that passes it binds the challenge to
+ * its transaction_id, and any other transaction needs a fresh code.
+ */
+const CHALLENGE_TTL_MS = Number(process.env.OTP_CHALLENGE_TTL_MINUTES || 15) * 60 * 1000;
+const VERIFIED_TTL_MS = Number(process.env.OTP_VERIFIED_TTL_MINUTES || 10) * 60 * 1000;
+const RESEND_COOLDOWN_MS = Number(process.env.OTP_RESEND_SECONDS || 45) * 1000;
+const MAX_SENDS = Number(process.env.OTP_MAX_SENDS || 5);
+const MAX_VERIFY_ATTEMPTS = Number(process.env.OTP_MAX_VERIFY_ATTEMPTS || 5);
+const MAX_CHALLENGES = Number(process.env.OTP_MAX_CHALLENGES || 10000);
+
+const challenges = new Map(); // id -> challenge (insertion order = creation order)
+
+const codeHash = (id, code) => crypto.createHash('sha256').update(`${id}|${code}`).digest('hex');
+
+// Expired, unless a verification is still fresh
+function isDead(c, now) {
+  return c.expiresAt <= now && !(c.verifiedAt && c.verifiedAt + VERIFIED_TTL_MS > now);
+}
+
+function prune(now = Date.now()) {
+  for (const [id, c] of challenges) {
+    if (!isDead(c, now) && challenges.size <= MAX_CHALLENGES) break;
+    challenges.delete(id);
+  }
+}
+
+// What the browser gets to see
+function publicView(c, now = Date.now()) {
+  return {
+    challenge_id: c.id,
+    phone_last4: c.phone.replace(/\D/g, '').slice(-4),
+    expires_at: new Date(c.expiresAt).toISOString(),
+    resend_after: c.lastSentAt ? Math.max(0, Math.ceil((c.lastSentAt + RESEND_COOLDOWN_MS - now) / 1000)) : 0,
+    attempts_remaining: Math.max(0, MAX_VERIFY_ATTEMPTS - c.attempts)
+  };
+}
+
+function create({ phone, loanId, cardLast6 }) {
+  const now = Date.now();
+  prune(now);
+  const c = {
+    id: crypto.randomBytes(18).toString('base64url'),
+    phone,
+    loanId: String(loanId || ''),
+    cardLast6: String(cardLast6 || ''),
+    createdAt: now,
+    expiresAt: now + CHALLENGE_TTL_MS,
+    sends: 0,
+    lastSentAt: 0,
+    attempts: 0,
+    verifiedAt: 0,
+    verifiedCodeHash: null,
+    transactionId: null
+  };
+  challenges.set(c.id, c);
+  return c;
+}
+
+function get(id, now = Date.now()) {
+  const c = challenges.get(String(id || ''));
+  if (!c) return null;
+  if (isDead(c, now)) {
+    challenges.delete(c.id);
+    return null;
+  }
+  return c;
+}
+
+/**
+ * Send (or resend) the code for a challenge through the OTP provider.
+ * Returns { ok: true } or { ok: false, reason: 'unknown' | 'cooldown' | 'max_sends' | 'provider', retryAfterSec?, message? }.
+ */
+async function send(id, provider) {
+  const now = Date.now();
+  const c = get(id, now);
+  if (!c || c.expiresAt <= now) return { ok: false, reason: 'unknown' };
+  if (c.lastSentAt && now - c.lastSentAt < RESEND_COOLDOWN_MS) {
+    return { ok: false, reason: 'cooldown', retryAfterSec: Math.ceil((c.lastSentAt + RESEND_COOLDOWN_MS - now) / 1000) };
+  }
+  if (c.sends >= MAX_SENDS) return { ok: false, reason: 'max_sends' };
+
+  c.sends++;
+  c.lastSentAt = now;
+  const r = await provider.send(c.phone);
+  if (!r.success) {
+    c.sends--;
+    c.lastSentAt = 0;
+    return { ok: false, reason: 'provider', message: r.message };
+  }
+  return { ok: true };
+}
+
+/**
+ * Verify a code for a challenge. A challenge that was already verified with the same code stays valid for
+ * VERIFIED_TTL_MS (so /otp/verify-proxy followed by /pre-validate doesn't burn a second provider check),
+ * but only for the transaction it was first used for: with `transactionId`, a success binds the challenge to it.
+ * Returns { ok: true } or { ok: false, reason: 'unknown' | 'used' | 'locked' | 'not_sent' | 'invalid', message? }.
+ */
+async function verify(id, code, provider, { transactionId } = {}) {
+  const now = Date.now();
+  const c = get(id, now);
+  if (!c) return { ok: false, reason: 'unknown' };
+  const codeStr = String(code || '');
+  const txId = transactionId === undefined || transactionId === null ? null : String(transactionId);
+  if (txId !== null && c.transactionId !== null && c.transactionId !== txId) return { ok: false, reason: 'used' };
+
+  if (c.verifiedAt && c.verifiedAt + VERIFIED_TTL_MS > now && c.verifiedCodeHash === codeHash(c.id, codeStr)) {
+    if (txId !== null) c.transactionId = txId;
+    return { ok: true };
+  }
+  if (c.attempts >= MAX_VERIFY_ATTEMPTS) return { ok: false, reason: 'locked' };
+  if (!c.sends) return { ok: false, reason: 'not_sent' };
+  if (c.expiresAt <= now) return { ok: false, reason: 'unknown' };
+
+  c.attempts++;
+  const r = await provider.verify(c.phone, codeStr);
+  if (!r.success) return { ok: false, reason: c.attempts >= MAX_VERIFY_ATTEMPTS ? 'locked' : 'invalid', message: r.message };
+
+  c.verifiedAt = now;
+  c.verifiedCodeHash = codeHash(c.id, codeStr);
+  if (txId !== null) c.transactionId = txId;
+  return { ok: true };
+}
+
+module.exports = {
+  create,
+  get,
+  send,
+  verify,
+  publicView,
+};
@@ -0,0 +1,127 @@
+// lib/otpProvider.js
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * One-time passcode providers. Every provider implements:
+ *   send(phoneE164)          → { success, message? }
+ *   verify(phoneE164, code)  → { success, message? }
+ * Chosen with OTP_PROVIDER:
+ *   http  (default) — the external OTP server (OTP_HTTP_BASE_URL, POST /send-otp and /verify-otp)
+ *   local — codes generated and kept in this process (TTL, attempt cap), handed to a deliver(phone, code) hook.
+ *           createLocalProvider() requires the hook; from OTP_PROVIDER it is a console line (last 4 digits of the
+ *           phone), for offline/dev use only — refused when NODE_ENV=production
+ *   test  — never sends anything; OTP_TEST_CODE (default 000000) always verifies. Only runs with NODE_ENV=test
+ * A provider that can't run here throws, and the server refuses to start.
+ */
+const DEFAULT_HTTP_BASE = 'https://twilio-otp-server.onrender.com';
+const HTTP_TIMEOUT_MS = Number(process.env.OTP_HTTP_TIMEOUT_MS || 10000);
+
+function createHttpProvider({ baseUrl = process.env.OTP_HTTP_BASE_URL || DEFAULT_HTTP_BASE } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  async function call(route, body) {
+    try {
+      const r = await fetch(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        timeout: HTTP_TIMEOUT_MS
+      });
+      const j = await r.json().catch(() => null);
+      if (!j) return { success: false, message: 'OTP server error' };
+      return { success: !!j.success, message: j.message || j.error || undefined };
+    } catch (e) {
+      console.error(`otpProvider(http) ${route} failed:`, e.message);
+      return { success: false, message: 'OTP server unavailable' };
+    }
+  }
+
+  return {
+    name: 'http',
+    send: (phone) => call('/send-otp', { phone }),
+    verify: (phone, code) => call('/verify-otp', { phone, code: String(code) }),
+  };
+}
+
+function createLocalProvider({
+  ttlMs = Number(process.env.OTP_LOCAL_TTL_SECONDS || 300) * 1000,
+  maxAttempts = Number(process.env.OTP_LOCAL_MAX_ATTEMPTS || 5),
+  deliver
+} = {}) {
+  if (typeof deliver !== 'function') throw new Error('The local OTP provider needs a deliver(phone, code) hook');
+  const codes = new Map(); // phone -> { hash, expiresAt, attempts }
+  const hash = (phone, code) => crypto.createHash('sha256').update(`${phone}|${code}`).digest('hex');
+
+  return {
+    name: 'local',
+    async send(phone) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      codes.set(phone, { hash: hash(phone, code), expiresAt: Date.now() + ttlMs, attempts: 0 });
+      deliver(phone, code);
+      return { success: true };
+    },
+    async verify(phone, code) {
+      const rec = codes.get(phone);
+      if (!rec || rec.expiresAt <= Date.now()) {
+        codes.delete(phone);
+        return { success: false, message: 'Code expired or not sent' };
+      }
+      if (++rec.attempts > maxAttempts) {
+        codes.delete(phone);
+        return { success: false, message: 'Too many attempts' };
+      }
+      if (rec.hash !== hash(phone, String(code))) return { success: false, message: 'Invalid code' };
+      codes.delete(phone); // single use
+      return { success: true };
+    },
+  };
+}
+
+// OTP_PROVIDER=local: codes go to the console, so never in production
+function createConsoleLocalProvider(options = {}) {
+  if (options.deliver) return createLocalProvider(options);
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('OTP_PROVIDER=local prints codes to the console and is refused in production');
+  }
+  const deliver = (phone, code) => console.log(`[otp:local] code for ***${String(phone).replace(/\D/g, '').slice(-4)}: ${code}`);
+  return createLocalProvider({ ...options, deliver });
+}
+
+function createTestProvider({ code: fixedCode = process.env.OTP_TEST_CODE || '000000' } = {}) {
+  if (process.env.NODE_ENV !== 'test') throw new Error('OTP_PROVIDER=test accepts a fixed code and only runs with NODE_ENV=test');
+  const sent = [];
+  return {
+    name: 'test',
+    sent, // phones we "sent" to, for assertions
+    async send(phone) {
+      sent.push(phone);
+      return { success: true };
+    },
+    async verify(_phone, code) {
+      return String(code) === fixedCode ? { success: true } : { success: false, message: 'Invalid code' };
+    },
+  };
+}
+
+const FACTORIES = { http: createHttpProvider, local: createConsoleLocalProvider, test: createTestProvider };
+
+function createOtpProvider(name = process.env.OTP_PROVIDER || 'http', options) {
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) throw new Error(`Unknown OTP_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return factory(options);
+}
+
+let provider = null;
+function getOtpProvider() {
+  if (!provider) provider = createOtpProvider();
+  return provider;
+}
+
+module.exports = {
+  createOtpProvider,
+  createHttpProvider,
+  createLocalProvider,
+  createTestProvider,
+  getOtpProvider,
+};
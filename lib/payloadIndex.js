@@ -1,129 +1,174 @@
 // lib/payloadIndex.js
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-
-const PAYLOAD_INDEX = path.join('/mnt/data', 'payload_index.json');
-const twistCodePath = path.join('/mnt/data', 'code.json');
+const jsonStore = require('./jsonStore');
+const twistCodes = require('./twistCodes');
+const lookupStore = require('./lookupStore');
+
+/**
+ * Payload index: account records keyed by HMAC(loan|exp), with phone/email → key maps for lookups.
+ * Stored at PAYLOAD_INDEX_PATH (default /mnt/data/payload_index.json). Records never hold the raw payload:
+ * the account fields lookups need are kept sealed with the lookup store key (lib/lookupStore.js) in `account`,
+ * and are simply not kept when LOOKUP_STORE_KEY is unset.
+ */
+const PAYLOAD_INDEX = process.env.PAYLOAD_INDEX_PATH || path.join('/mnt/data', 'payload_index.json');
 
 const last10 = (v) => String(v || '').replace(/\D/g, '').slice(-10);
 
-function loadJsonSafe(p) {
-  try { return JSON.parse(fs.readFileSync(p, 'utf-8')); } catch (_) { return null; }
-}
-
-// MUST match server.js logic for determinism/compat
-function getOrGenerateTwistCode(loanId, expiration) {
-  if (!loanId || !expiration) return null;
-  const hash = crypto.createHash('sha256').update(`${loanId}|${expiration}`).digest('hex');
-  let data = loadJsonSafe(twistCodePath) || {};
-  if (data[hash]) return data[hash];
-  const newCode = Array.from({ length: 12 }, () => Math.floor(Math.random() * 10)).join('');
-  data[hash] = newCode;
-  fs.writeFileSync(twistCodePath, JSON.stringify(data, null, 2));
-  return newCode;
-}
-
 // ---- index IO ----
-function loadPayloadIndex() {
-  const j = loadJsonSafe(PAYLOAD_INDEX) || {};
+function shapeIndex(j) {
   return {
-    byKey: j.byKey || {},     // key=sha256(loan|exp) -> {loan_id, contract_expiration, code, phones, emails, lastPayload, updatedAt}
-    byCode: j.byCode || {},   // code -> key
+    version: 2,
+    byKey: j.byKey || {},     // key=HMAC(loan|exp) -> {loan_id, contract_expiration, phones, emails, account, updatedAt}
     byPhone: j.byPhone || {}, // last10 -> [key,...]
     byEmail: j.byEmail || {}, // email -> [key,...]
   };
 }
+
+// Readers tolerate a corrupt index (it can be rebuilt from the logs via /admin/reindex-from-logs)
+function loadPayloadIndex() {
+  try {
+    return shapeIndex(jsonStore.readJson(PAYLOAD_INDEX, {}) || {});
+  } catch (e) {
+    console.error('loadPayloadIndex error:', e.message);
+    return shapeIndex({});
+  }
+}
 function savePayloadIndex(idx) {
-  try { fs.writeFileSync(PAYLOAD_INDEX, JSON.stringify(idx, null, 2)); } catch (e) {
+  try { jsonStore.writeJson(PAYLOAD_INDEX, idx); } catch (e) {
     console.error('savePayloadIndex error:', e);
   }
 }
 
-// Upsert from a full payload object (typically req.body from /store-status)
+/**
+ * Upsert from a full payload object (typically req.body from /store-status). Throws when the index or code.json
+ * can't be written. Records are keyed by HMAC(loan|exp), so without the TWIST code keys there is no index
+ * to write and the upsert is skipped (the server warns about the missing keys at boot).
+ */
 function upsertIndexFromPayload(payload) {
   if (!payload) return;
   const loan_id = String(payload.loan_id || '').trim();
   const exp     = String(payload.contract_expiration || '').trim();
-  if (!loan_id || !exp) return;
+  if (!loan_id || !exp || !twistCodes.isConfigured()) return;
 
-  const key  = crypto.createHash('sha256').update(`${loan_id}|${exp}`).digest('hex');
-  const code = getOrGenerateTwistCode(loan_id, exp);
+  const key = twistCodes.codeKey(loan_id, exp);
+  twistCodes.getOrGenerateTwistCode(loan_id, exp); // throws if code.json is corrupt → index untouched
 
   const phoneLast10 = last10(payload.phone || payload.customer_phone || payload.client_phone || '');
   const email = String(payload.email || payload.customer_email || '').trim().toLowerCase();
 
-  const idx = loadPayloadIndex();
-  const rec = idx.byKey[key] || { loan_id, contract_expiration: exp, code, phones: {}, emails: {}, lastPayload: null, updatedAt: null };
-
-  if (phoneLast10) rec.phones[phoneLast10] = true;
-  if (email) rec.emails[email] = true;
-  rec.lastPayload = payload;
-  rec.updatedAt = new Date().toISOString();
-
-  idx.byKey[key] = rec;
-  idx.byCode[code] = key;
-
-  if (phoneLast10) {
-    if (!idx.byPhone[phoneLast10]) idx.byPhone[phoneLast10] = [];
-    if (!idx.byPhone[phoneLast10].includes(key)) idx.byPhone[phoneLast10].push(key);
-  }
-  if (email) {
-    if (!idx.byEmail[email]) idx.byEmail[email] = [];
-    if (!idx.byEmail[email].includes(key)) idx.byEmail[email].push(key);
-  }
-
-  savePayloadIndex(idx);
+  jsonStore.updateJson(PAYLOAD_INDEX, (idx) => {
+    Object.assign(idx, shapeIndex(idx)); // fill in any missing maps
+    const rec = idx.byKey[key] || { loan_id, contract_expiration: exp, phones: {}, emails: {}, account: null, updatedAt: null };
+
+    if (phoneLast10) rec.phones[phoneLast10] = true;
+    if (email) rec.emails[email] = true;
+    delete rec.lastPayload; // written in plaintext by older versions
+    rec.account = lookupStore.seal(payload);
+    rec.updatedAt = new Date().toISOString();
+
+    idx.byKey[key] = rec;
+
+    if (phoneLast10) {
+      if (!idx.byPhone[phoneLast10]) idx.byPhone[phoneLast10] = [];
+      if (!idx.byPhone[phoneLast10].includes(key)) idx.byPhone[phoneLast10].push(key);
+    }
+    if (email) {
+      if (!idx.byEmail[email]) idx.byEmail[email] = [];
+      if (!idx.byEmail[email].includes(key)) idx.byEmail[email].push(key);
+    }
+    return { changed: true };
+  });
 }
 
-// Reverse-find sha256(loan|exp) key by code from code.json
-function reverseFindKeyByCode(code) {
-  if (!/^\d{12}$/.test(String(code))) return null;
-  const data = loadJsonSafe(twistCodePath) || {};
-  for (const [k, v] of Object.entries(data)) {
-    if (k === 'last') continue;
-    if (String(v) === String(code)) return k; // k is sha256(loan|exp)
-  }
-  return null;
-}
-
-// Parse a raw merged log text and find payload whose key matches sha256(loan|exp)
-function findPayloadByKeyInLogs(key, rawLogText) {
-  if (!rawLogText) return null;
-  const lines = rawLogText.split('\n').filter(Boolean);
-  for (const line of lines) {
-    const m = line.match(/{.*}/);
-    if (!m) continue;
-    let entry; try { entry = JSON.parse(m[0]); } catch { continue; }
-    const loan_id = entry.loan_id;
-    const exp     = entry.contract_expiration;
-    if (!loan_id || !exp) continue;
-    const k = crypto.createHash('sha256').update(`${loan_id}|${exp}`).digest('hex');
-    if (k === key) return entry;
-  }
-  return null;
+// Account fields of a record (decrypted when we hold the key) plus its loan, expiration, phones and emails
+function accountOf(rec) {
+  if (!rec) return null;
+  return {
+    ...(lookupStore.open(rec.account) || {}),
+    loan_id: rec.loan_id,
+    contract_expiration: rec.contract_expiration,
+    phones: Object.keys(rec.phones || {}),
+    emails: Object.keys(rec.emails || {})
+  };
 }
 
-// Pretty response formatter for admin/get endpoints
-function summarizeRecord(rec) {
+// Pretty response formatter for admin/get endpoints.
+// The TWIST code is masked to its middle 4 unless revealFull (caller holds the full-code scope).
+function summarizeRecord(rec, { revealFull = false } = {}) {
   if (!rec) return null;
+  let code = null;
+  try {
+    const hit = twistCodes.lookupTwistCode(rec.loan_id, rec.contract_expiration);
+    if (hit) code = revealFull ? hit.twistcode : twistCodes.maskCode(hit.twistcode);
+  } catch (e) {
+    console.error('summarizeRecord code lookup error:', e.message);
+  }
   return {
     loan_id: rec.loan_id,
     contract_expiration: rec.contract_expiration,
-    code: rec.code,
+    code,
+    code_masked: !revealFull,
     phones: Object.keys(rec.phones || {}),
     emails: Object.keys(rec.emails || {}),
     updatedAt: rec.updatedAt,
-    // lastPayload: rec.lastPayload, // uncomment if you want full payloads returned
   };
 }
 
+/**
+ * Replace the plaintext `lastPayload` older versions kept on every record with sealed account fields
+ * (dropped outright when LOOKUP_STORE_KEY is unset). Returns the number of records scrubbed.
+ */
+function scrubPayloads() {
+  return jsonStore.updateJson(PAYLOAD_INDEX, (raw) => {
+    let n = 0;
+    for (const rec of Object.values(raw.byKey || {})) {
+      if (!rec || !rec.lastPayload) continue;
+      rec.account = lookupStore.seal(rec.lastPayload);
+      delete rec.lastPayload;
+      n++;
+    }
+    return n ? { changed: true, result: n } : { changed: false, result: 0 };
+  });
+}
+
+/**
+ * One-time re-key of a v1 index (sha256 keys, plaintext `code` per record, byCode map)
+ * to HMAC keys with no codes stored. Returns the number of records re-keyed.
+ */
+function migrateIndex() {
+  return jsonStore.updateJson(PAYLOAD_INDEX, (raw) => {
+    if (raw.version === 2 || !raw.byKey) return { changed: false, result: 0 };
+    const next = shapeIndex({});
+    let n = 0;
+    for (const rec of Object.values(raw.byKey)) {
+      if (!rec || !rec.loan_id || !rec.contract_expiration) continue;
+      const key = twistCodes.codeKey(rec.loan_id, rec.contract_expiration);
+      const { code, ...rest } = rec; // drop plaintext code
+      next.byKey[key] = rest;
+      for (const l10 of Object.keys(rec.phones || {})) {
+        if (!next.byPhone[l10]) next.byPhone[l10] = [];
+        if (!next.byPhone[l10].includes(key)) next.byPhone[l10].push(key);
+      }
+      for (const email of Object.keys(rec.emails || {})) {
+        if (!next.byEmail[email]) next.byEmail[email] = [];
+        if (!next.byEmail[email].includes(key)) next.byEmail[email].push(key);
+      }
+      n++;
+    }
+    for (const k of Object.keys(raw)) delete raw[k];
+    Object.assign(raw, next);
+    return { changed: true, result: n };
+  });
+}
+
 module.exports = {
+  PAYLOAD_INDEX,
   loadPayloadIndex,
   savePayloadIndex,
   upsertIndexFromPayload,
-  reverseFindKeyByCode,
-  findPayloadByKeyInLogs,
+  accountOf,
   summarizeRecord,
+  scrubPayloads,
+  migrateIndex,
   last10,
 };
@@ -0,0 +1,157 @@
+// lib/pricing.js
+const fs = require('fs');
+const path = require('path');
+const signedToken = require('./signedToken');
+const i18n = require('./i18n');
+const { parseAmount } = require('./creditLedger');
+
+/**
+ * Installment quotes for the hosted form (POST /quotes).
+ * Terms per product_code come from PRICING_FILE (default config/pricing.json), re-read when its mtime changes:
+ *   { products: { "<product_code>": { min_amount?, max_amount?, options: [ { term_months, apr } ] } } }
+ * No terms ship by default: a card whose product_code isn't listed gets no options and pays in full
+ * (config/pricing.example.json shows the format).
+ * Each option is amortized monthly: payments are rounded to the cent and the last one absorbs the rounding,
+ * so total_cost is exactly what the customer repays. The disclosure text is the catalog's `pricing.disclosure`.
+ * Every option carries a plan_token (signedToken typ 'plan') binding transaction, loan, amount, product and terms:
+ * /validate-transaction only records a plan we quoted for that very transaction.
+ */
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, '..', 'config', 'pricing.json');
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS || 30 * 60);
+
+let products = {};
+let fileMtime = null;
+
+function getProducts() {
+  let stat;
+  try { stat = fs.statSync(PRICING_FILE); } catch { fileMtime = null; products = {}; return products; }
+  if (stat.mtimeMs === fileMtime) return products;
+  fileMtime = stat.mtimeMs;
+  try {
+    products = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf-8')).products || {};
+  } catch (e) {
+    console.error('pricing: unable to parse', PRICING_FILE, e.message);
+    products = {};
+  }
+  return products;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const cents = (n) => Math.round(n * 100);
+const money = (n) => Number(n).toFixed(2);
+
+// { term_months, apr, payment_amount, final_payment_amount, total_cost, finance_charge }
+function amortize(amount, { term_months, apr }) {
+  const n = Math.max(1, Math.floor(Number(term_months)));
+  const rate = Math.max(0, Number(apr) || 0) / 100 / 12;
+  const payment = rate === 0 ? round2(amount / n) : round2((amount * rate) / (1 - (1 + rate) ** -n));
+
+  let balance = amount;
+  let total = 0;
+  let finalPayment = payment;
+  for (let i = 1; i <= n; i++) {
+    const interest = round2(balance * rate);
+    if (i === n) {
+      finalPayment = round2(balance + interest);
+      total = round2(total + finalPayment);
+    } else {
+      balance = round2(balance + interest - payment);
+      total = round2(total + payment);
+    }
+  }
+  return {
+    term_months: n,
+    apr: Number(apr) || 0,
+    payment_amount: payment,
+    final_payment_amount: finalPayment,
+    total_cost: total,
+    finance_charge: round2(total - amount)
+  };
+}
+
+function productTerms(productCode) {
+  if (!productCode) return null;
+  const all = getProducts();
+  return Object.prototype.hasOwnProperty.call(all, productCode) ? all[productCode] : null;
+}
+
+// Options for an amount, without tokens or texts ([] when the product has no installment terms for it)
+function optionsFor(amount, productCode) {
+  const terms = productTerms(productCode);
+  if (!terms || !Array.isArray(terms.options)) return [];
+  if (terms.min_amount !== undefined && amount < Number(terms.min_amount)) return [];
+  if (terms.max_amount !== undefined && amount > Number(terms.max_amount)) return [];
+  return terms.options
+    .filter(o => Number(o.term_months) >= 1)
+    .map(o => amortize(amount, o));
+}
+
+/**
+ * Options for one verified transaction ({ transaction_id, loan_id, product_code } come from its checkout token).
+ * { ok: true, amount, product_code, options: [ { plan_id, ...amortize(), disclosure, plan_token } ], expires_at }
+ * or { ok: false, code: 'AMOUNT_INVALID', field: 'amount', message }.
+ */
+function quote(rawAmount, { transaction_id, loan_id, product_code: productCode }, lang = i18n.DEFAULT_LANG) {
+  const parsed = parseAmount(rawAmount);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return { ok: false, code: 'AMOUNT_INVALID', field: 'amount', message: 'Amount is invalid.' };
+  }
+  const amount = round2(parsed);
+  const product_code = productCode ? String(productCode) : null;
+  const options = optionsFor(amount, product_code).map(o => ({
+    plan_id: `${o.term_months}m`,
+    ...o,
+    disclosure: i18n.t(lang, 'pricing.disclosure', {
+      term_months: o.term_months,
+      apr: money(o.apr),
+      amount: money(amount),
+      payment_amount: money(o.payment_amount),
+      final_payment_amount: money(o.final_payment_amount),
+      finance_charge: money(o.finance_charge),
+      total_cost: money(o.total_cost)
+    }),
+    plan_token: signedToken.issue('plan', {
+      transaction_id: String(transaction_id),
+      loan_id: String(loan_id),
+      amount_cents: cents(amount),
+      product_code,
+      ...o
+    }, QUOTE_TTL_SECONDS)
+  }));
+  return {
+    ok: true,
+    amount,
+    product_code,
+    options,
+    expires_at: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+/**
+ * The plan behind a plan_token, checked against the transaction, loan, amount and product being paid.
+ * { ok: true, plan } or { ok: false, code: 'PLAN_INVALID', message }.
+ */
+function verifyPlan(token, { transaction_id, loan_id, amount, product_code }) {
+  const v = signedToken.verify(token, 'plan');
+  const invalid = { ok: false, code: 'PLAN_INVALID', message: 'The selected payment plan is no longer valid. Please choose a plan again.' };
+  if (!v.ok) return invalid;
+  const c = v.claims;
+  const amt = parseAmount(amount);
+  if (
+    c.transaction_id !== String(transaction_id || '') ||
+    c.loan_id !== String(loan_id || '') ||
+    !Number.isFinite(amt) || c.amount_cents !== cents(amt) ||
+    (c.product_code || null) !== (product_code ? String(product_code) : null)
+  ) {
+    return invalid;
+  }
+  const { term_months, apr, payment_amount, final_payment_amount, total_cost, finance_charge } = c;
+  return { ok: true, plan: { plan_id: `${term_months}m`, term_months, apr, payment_amount, final_payment_amount, total_cost, finance_charge } };
+}
+
+module.exports = {
+  amortize,
+  optionsFor,
+  quote,
+  verifyPlan,
+};
@@ -0,0 +1,90 @@
+// lib/records.js
+// Helpers for reading phone/email fields out of loosely-shaped /store-status payloads.
+
+function phonesFromEntry(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+
+  const out = [];
+
+  if (Array.isArray(entry.phones)) {
+    for (const p of entry.phones) {
+      if (typeof p === 'string') out.push(p);
+    }
+  }
+
+  for (const [k, v] of Object.entries(entry)) {
+    if (!/phone/i.test(k)) continue;
+
+    if (typeof v === 'string') {
+      out.push(v);
+    } else if (Array.isArray(v)) {
+      for (const item of v) {
+        if (typeof item === 'string') out.push(item);
+      }
+    }
+  }
+
+  return [...new Set(out)];
+}
+
+function emailsFromEntry(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+
+  const out = [];
+
+  if (Array.isArray(entry.emails)) {
+    for (const e of entry.emails) {
+      if (typeof e === 'string') out.push(e.trim().toLowerCase());
+    }
+  }
+
+  for (const [k, v] of Object.entries(entry)) {
+    if (!/email/i.test(k)) continue;
+
+    if (typeof v === 'string') {
+      out.push(v.trim().toLowerCase());
+    } else if (Array.isArray(v)) {
+      for (const item of v) {
+        if (typeof item === 'string') out.push(item.trim().toLowerCase());
+      }
+    }
+  }
+
+  return [...new Set(out.filter(Boolean))];
+}
+
+function normalizePayloadRecord(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const phones = phonesFromEntry(entry);
+  const emails = emailsFromEntry(entry);
+
+  return {
+    ...entry,
+
+    // legacy-compatible aliases
+    phone: entry.phone || entry.customer_phone || phones[0] || '',
+    customer_phone: entry.customer_phone || entry.phone || phones[0] || '',
+
+    email: entry.email || entry.customer_email || emails[0] || '',
+    customer_email: entry.customer_email || entry.email || emails[0] || '',
+
+    postal_code: entry.postal_code || entry.postal || '',
+    postal: entry.postal || entry.postal_code || '',
+
+    state: entry.state || entry.province || '',
+    province: entry.province || entry.state || '',
+
+    phones,
+    emails
+  };
+}
+
+const last10 = (v) => String(v || '').replace(/\D/g, '').slice(-10);
+
+module.exports = {
+  phonesFromEntry,
+  emailsFromEntry,
+  normalizePayloadRecord,
+  last10,
+};
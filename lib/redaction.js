@@ -0,0 +1,139 @@
+// lib/redaction.js
+const crypto = require('crypto');
+
+/**
+ * Field-level redaction for anything we write to the webhook logs (and for admin output).
+ * Policy = { default, fields: { name: action }, patterns: [[regex source, action]] } where action is
+ *   keep  — as is
+ *   mask  — all but the last 4 characters replaced by '*'
+ *   hash  — 'h:' + HMAC-SHA256(LOG_REDACTION_KEY, value) (first 16 hex); same input → same token, so lines can still be correlated
+ *   drop  — field removed
+ * Exact field names win over patterns; anything else gets `default`.
+ * LOG_REDACTION_POLICY (JSON) is merged over the default policy; LOG_REDACTION=off disables redaction.
+ * Redaction needs the encrypted lookup store (LOOKUP_STORE_KEY, see lib/lookupStore.js), because the indexes then read
+ * the fields they need from there instead of from the logs; the server refuses to start with redaction on and no key.
+ * Redacted payloads carry `_redacted: true` so the log indexer skips them.
+ */
+const DEFAULT_POLICY = {
+  default: 'drop',
+  fields: {
+    transaction_id: 'keep',
+    status: 'keep',
+    orderno: 'keep',
+    amount: 'keep',
+    action: 'keep',
+    previous_status: 'keep',
+    credit_released: 'keep',
+    reason: 'keep',
+    product_description: 'keep',
+    province: 'keep',
+    state: 'keep',
+    loan_id: 'mask',
+    postal_code: 'mask',
+    postal: 'mask',
+    email: 'hash',
+    emails: 'hash',
+    contract_expiration: 'drop',
+    available_credit: 'drop',
+    name: 'drop',
+    address: 'drop',
+    city: 'drop'
+  },
+  patterns: [
+    ['phone', 'mask'],
+    ['email', 'hash']
+  ]
+};
+const ACTIONS = ['keep', 'mask', 'hash', 'drop'];
+
+function loadPolicy() {
+  const policy = {
+    default: DEFAULT_POLICY.default,
+    fields: { ...DEFAULT_POLICY.fields },
+    patterns: DEFAULT_POLICY.patterns.slice()
+  };
+  if (!process.env.LOG_REDACTION_POLICY) return policy;
+  try {
+    const custom = JSON.parse(process.env.LOG_REDACTION_POLICY);
+    if (ACTIONS.includes(custom.default)) policy.default = custom.default;
+    Object.assign(policy.fields, custom.fields || {});
+    if (Array.isArray(custom.patterns)) policy.patterns = custom.patterns;
+  } catch (e) {
+    console.error('redaction: LOG_REDACTION_POLICY is not valid JSON, using defaults:', e.message);
+  }
+  return policy;
+}
+
+let policy = null;
+function getPolicy() {
+  if (!policy) policy = loadPolicy();
+  return policy;
+}
+
+function isEnabled() {
+  return String(process.env.LOG_REDACTION || 'on').toLowerCase() !== 'off';
+}
+
+function actionFor(field) {
+  const p = getPolicy();
+  if (Object.prototype.hasOwnProperty.call(p.fields, field)) return p.fields[field];
+  for (const [source, action] of p.patterns) {
+    if (new RegExp(source, 'i').test(field)) return action;
+  }
+  return p.default;
+}
+
+function maskValue(v) {
+  const s = String(v);
+  return s.length <= 4 ? '*'.repeat(s.length) : '*'.repeat(s.length - 4) + s.slice(-4);
+}
+
+// Without a key, hashing falls back to masking (an unkeyed hash of a phone/email is trivially reversible)
+function hashValue(v) {
+  const key = process.env.LOG_REDACTION_KEY;
+  if (!key) return maskValue(v);
+  return 'h:' + crypto.createHmac('sha256', key).update(String(v).trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function applyAction(action, v) {
+  if (v === null || v === undefined || v === '') return v;
+  if (Array.isArray(v)) return v.map(item => applyAction(action, item));
+  if (action === 'keep') return v;
+  if (typeof v === 'object') return undefined; // nested structures are only kept verbatim or dropped
+  if (action === 'mask') return maskValue(v);
+  if (action === 'hash') return hashValue(v);
+  return undefined;
+}
+
+// Returns a redacted copy of a flat payload (never mutates the input)
+function redactPayload(payload) {
+  if (!payload || typeof payload !== 'object') return payload;
+  const out = { _redacted: true };
+  for (const [k, v] of Object.entries(payload)) {
+    const action = actionFor(k);
+    if (action === 'drop') continue;
+    const r = applyAction(action, v);
+    if (r !== undefined) out[k] = r;
+  }
+  return out;
+}
+
+// Re-write the JSON part of an existing log line (used when archiving lines written before redaction)
+function redactLine(line) {
+  const m = String(line).match(/{.*}/);
+  if (!m) return line;
+  try {
+    const obj = JSON.parse(m[0]);
+    if (obj && obj._redacted) return line;
+    return line.replace(m[0], JSON.stringify(redactPayload(obj)));
+  } catch {
+    return line;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  getPolicy,
+  redactPayload,
+  redactLine,
+};
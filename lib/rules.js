@@ -0,0 +1,227 @@
+// lib/rules.js
+const creditLedger = require('./creditLedger');
+const logStore = require('./logStore');
+const payloadIndex = require('./payloadIndex');
+const twistCodes = require('./twistCodes');
+const { normalizePayloadRecord, last10 } = require('./records');
+
+/**
+ * Card validation rules, shared by /otp/derive-phone, /pre-validate and /validate-transaction.
+ * CHECKS is the single ordered list of named checks; PROFILES pick which of them an endpoint runs.
+ * runProfile() stops at the first failing check and returns
+ *   { ok: true, account, loanId, checks }                       or
+ *   { ok: false, failure: { check, code, field, message, guess }, account?, loanId?, checks }
+ * where checks = [{ name, ok, code? }] for every check that ran.
+ * `guess: true` marks failures that reveal whether a guessed value was right (they count toward attempt limits).
+ * `code` and `field` are sent to clients as-is (the form highlights fields from them), so treat them as stable API;
+ * messages may change wording.
+ */
+const CARD_BIN = process.env.CARD_BIN || '71461567';
+const CARD_LENGTH = 14;
+
+/* ---- Shared input helpers ---- */
+
+// Any supported expiration format → MMYY (digits only)
+function toMMYY(raw) {
+  const s = String(raw || '').trim();
+  let m;
+  if (/^\d{4}$/.test(s)) return s;                              // MMYY
+  if ((m = s.match(/^(\d{2})\/(\d{2})$/))) return m[1] + m[2];   // MM/YY -> MMYY
+  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return m[2] + m[1].slice(-2); // YYYY-MM-DD -> MMYY
+  return null;
+}
+
+const digitsOnly = (v) => String(v || '').replace(/\D/g, '');
+const normPostal = (v) => String(v || '').trim().toUpperCase().replace(/\s/g, '');
+const normUpper = (v) => String(v || '').trim().toUpperCase();
+
+function getIndexLatestByLoanLast6(last6) {
+  try {
+    const idx = payloadIndex.loadPayloadIndex();
+    const updatedAt = (rec) => { const t = Date.parse(rec.updatedAt || ''); return isNaN(t) ? 0 : t; };
+    const recs = Object.values(idx.byKey || {})
+      .filter(Boolean)
+      .filter(rec => String(rec.loan_id || '').endsWith(last6))
+      .sort((a, b) => updatedAt(b) - updatedAt(a));
+    return recs[0] || null;
+  } catch (e) {
+    console.error('getIndexLatestByLoanLast6 error:', e);
+    return null;
+  }
+}
+
+/**
+ * Latest account payload whose loan_id ends with last6 (the card encodes the loan):
+ * log store index first, payloadIndex as fallback. Normalized (phones/emails/postal aliases) or null.
+ */
+function findAccountByCardSuffix(last6) {
+  try {
+    const hit = logStore.byLoanIdEndsWith(last6)[0];
+    if (hit) return normalizePayloadRecord(hit.payload);
+  } catch (e) {
+    console.error('findAccountByCardSuffix log lookup error:', e);
+  }
+  const idxHit = getIndexLatestByLoanLast6(last6);
+  return idxHit ? normalizePayloadRecord(payloadIndex.accountOf(idxHit)) : null;
+}
+
+/* ---- Checks ---- */
+// Each check: (ctx) → undefined when it passes, or [code, message, { guess }] when it fails. May be async.
+const fail = (code, message, opts = {}) => [code, message, opts];
+
+const CHECKS = [
+  {
+    name: 'card_length',
+    field: 'cardNumber',
+    run: (ctx) => (ctx.card.length !== CARD_LENGTH ? fail('CARD_INVALID', 'Incorrect Card Number') : undefined)
+  },
+  {
+    name: 'bin',
+    field: 'cardNumber',
+    run: (ctx) => (!ctx.card.startsWith(CARD_BIN) ? fail('CARD_INVALID', 'Incorrect Card Number') : undefined)
+  },
+  {
+    name: 'loan_match',
+    field: 'cardNumber',
+    run: (ctx) => {
+      ctx.account = findAccountByCardSuffix(ctx.card.slice(-6));
+      if (!ctx.account) return fail('CARD_NOT_FOUND', 'Incorrect Card Number', { guess: true });
+      ctx.loanId = String(ctx.account.loan_id || '');
+      return undefined;
+    }
+  },
+  {
+    name: 'expiry',
+    field: 'expiration',
+    run: (ctx) => {
+      const inExp = toMMYY(ctx.input.expiration);
+      if (!inExp) return fail('EXPIRY_FORMAT', 'Expiration must be MMYY.');
+      const stored = toMMYY(ctx.account.contract_expiration);
+      if (!stored || stored !== inExp) return fail('EXPIRY_MISMATCH', 'Expiration does not match contract.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'twist',
+    field: 'twist',
+    run: (ctx) => {
+      const inTwist = digitsOnly(ctx.input.twist);
+      if (!/^\d{4}$/.test(inTwist)) return fail('TWIST_FORMAT', 'TWIST code must be 4 digits.');
+      const exp = String(ctx.account.contract_expiration || '');
+      let code = null;
+      if (ctx.loanId && exp) {
+        const hit = twistCodes.lookupTwistCode(ctx.loanId, exp);
+        code = hit ? hit.twistcode : (ctx.profile.generateTwist ? twistCodes.getOrGenerateTwistCode(ctx.loanId, exp) : null);
+      }
+      const mid4 = twistCodes.middle4Of(code);
+      if (!mid4 || mid4 !== inTwist) return fail('TWIST_MISMATCH', 'TWIST code incorrect.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'postal',
+    field: 'postal',
+    run: (ctx) => {
+      const ref = normPostal(ctx.account.postal_code || ctx.account.postal);
+      if (ref && normPostal(ctx.input.postal) !== ref) return fail('POSTAL_MISMATCH', 'Postal code does not match account.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'email',
+    field: 'email',
+    run: (ctx) => {
+      const ref = (ctx.account.emails || [])[0] || '';
+      const inEmail = String(ctx.input.email || '').trim().toLowerCase();
+      if (ref && inEmail && inEmail !== ref) return fail('EMAIL_MISMATCH', 'Email does not match account.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'phone',
+    field: 'phone',
+    run: (ctx) => {
+      const ref = last10((ctx.account.phones || [])[0]);
+      const inPhone = last10(ctx.input.phone);
+      if (ref && inPhone && inPhone !== ref) return fail('PHONE_MISMATCH', 'Phone does not match account.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'province',
+    field: 'province',
+    run: (ctx) => {
+      const ref = normUpper(ctx.account.province || ctx.account.state);
+      const inProvince = normUpper(ctx.input.province);
+      if (ref && inProvince && inProvince !== ref) return fail('PROVINCE_MISMATCH', 'Province does not match account.', { guess: true });
+      return undefined;
+    }
+  },
+  {
+    name: 'credit',
+    field: 'amount',
+    run: (ctx) => {
+      const amt = creditLedger.parseAmount(ctx.input.amount);
+      if (!Number.isFinite(amt) || amt <= 0) return fail('AMOUNT_INVALID', 'Amount is invalid.');
+      // Ledger: last /store-status value minus approvals placed since then
+      ctx.availableCredit = creditLedger.availableCredit(ctx.loanId, Number(ctx.account.available_credit || 0));
+      if (Number.isFinite(ctx.availableCredit) && amt > ctx.availableCredit) return fail('CREDIT_EXCEEDED', 'Amount exceeds available credit.');
+      return undefined;
+    }
+  },
+  {
+    name: 'otp',
+    field: 'otpCode',
+    // ctx.deps.verifyOtp({ loanId, cardLast6, input }) → { ok, code?, message?, guess? }
+    run: async (ctx) => {
+      const r = (await ctx.deps.verifyOtp({ loanId: ctx.loanId, cardLast6: ctx.card.slice(-6), input: ctx.input })) || {};
+      if (!r.ok) return fail(r.code || 'OTP_INVALID', r.message || 'OTP invalid or expired.', { guess: r.guess !== false });
+      return undefined;
+    }
+  },
+];
+
+const PROFILES = {
+  // Step 1 of the form: everything we can check before an OTP exists (generates the TWIST code on first use)
+  'derive-phone': { checks: ['card_length', 'bin', 'loan_match', 'expiry', 'twist', 'postal', 'email'], generateTwist: true },
+  'pre-validate': { checks: ['card_length', 'bin', 'loan_match', 'expiry', 'twist', 'postal', 'email', 'phone', 'province', 'credit', 'otp'] },
+  'validate-transaction': { checks: ['card_length', 'bin', 'loan_match', 'expiry', 'twist', 'postal', 'email', 'phone', 'province', 'credit'] },
+};
+
+/**
+ * input: { cardNumber, expiration, twist, postal, email, phone, province, amount, ... }
+ * deps:  { verifyOtp } — only needed by profiles that include 'otp'
+ */
+async function runProfile(profileName, input, deps = {}) {
+  const profile = PROFILES[profileName];
+  if (!profile) throw new Error(`Unknown validation profile: ${profileName}`);
+
+  const ctx = { profile, input: input || {}, deps, card: digitsOnly((input || {}).cardNumber), account: null, loanId: null };
+  const checks = [];
+  for (const check of CHECKS) {
+    if (!profile.checks.includes(check.name)) continue;
+    const failed = await check.run(ctx);
+    if (failed) {
+      const [code, message, { guess = false }] = failed;
+      checks.push({ name: check.name, ok: false, code });
+      return {
+        ok: false,
+        failure: { check: check.name, code, field: check.field, message, guess },
+        account: ctx.account,
+        loanId: ctx.loanId,
+        checks
+      };
+    }
+    checks.push({ name: check.name, ok: true });
+  }
+  return { ok: true, account: ctx.account, loanId: ctx.loanId, availableCredit: ctx.availableCredit, checks };
+}
+
+module.exports = {
+  CARD_BIN,
+  CHECKS,
+  PROFILES,
+  toMMYY,
+  findAccountByCardSuffix,
+  runProfile,
+};
@@ -0,0 +1,60 @@
+// lib/signedToken.js
+const crypto = require('crypto');
+
+/**
+ * Short-lived HMAC-SHA256 tokens: `<base64url(JSON claims)>.<base64url(signature)>`.
+ * Claims always carry `typ` (what the token is for), `iat` and `exp` (unix seconds); verify() checks all three,
+ * so a token issued for one purpose can't be replayed for another.
+ * Secret: SIGNED_TOKEN_SECRET. Without it a random per-process secret is used — tokens then stop
+ * verifying after a restart (acceptable for minutes-long tokens, but set the secret when running several instances).
+ */
+let fallbackSecret = null;
+function getSecret() {
+  const configured = String(process.env.SIGNED_TOKEN_SECRET || '').trim();
+  if (configured) return configured;
+  if (!fallbackSecret) fallbackSecret = crypto.randomBytes(32).toString('hex');
+  return fallbackSecret;
+}
+
+function isConfigured() {
+  return !!String(process.env.SIGNED_TOKEN_SECRET || '').trim();
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const mac = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest();
+
+function issue(typ, claims, ttlSeconds) {
+  const iat = Math.floor(Date.now() / 1000);
+  const body = b64url(JSON.stringify({ ...claims, typ, iat, exp: iat + Math.max(1, Math.floor(ttlSeconds)) }));
+  return `${body}.${b64url(mac(body))}`;
+}
+
+/**
+ * Returns { ok: true, claims } or { ok: false, reason: 'missing' | 'malformed' | 'signature' | 'type' | 'expired' }.
+ */
+function verify(token, typ, now = Date.now()) {
+  const s = String(token || '').trim();
+  if (!s) return { ok: false, reason: 'missing' };
+  const parts = s.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, reason: 'malformed' };
+
+  const given = Buffer.from(parts[1], 'base64url');
+  const expected = mac(parts[0]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { ok: false, reason: 'signature' };
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8'));
+  } catch {
+    return { ok: false, reason: 'malformed' };
+  }
+  if (!claims || claims.typ !== typ) return { ok: false, reason: 'type' };
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= now) return { ok: false, reason: 'expired' };
+  return { ok: true, claims };
+}
+
+module.exports = {
+  isConfigured,
+  issue,
+  verify,
+};
@@ -0,0 +1,121 @@
+// lib/statusService.js
+const logStore = require('./logStore');
+const payloadIndex = require('./payloadIndex');
+const transactionStore = require('./transactionStore');
+const creditLedger = require('./creditLedger');
+const twistCodes = require('./twistCodes');
+const webhooks = require('./webhooks');
+const crmSync = require('./crmSync');
+const merchants = require('./merchants');
+
+/**
+ * The one place a status payload gets recorded — processor webhooks (/store-status) and our own approvals
+ * (/validate-transaction) both go through recordStatus(), in process.
+ * Required steps, in order: audit log line (+ encrypted lookup entry), payload index upsert, transaction status write.
+ * If any of them fails recordStatus() throws a StatusError and the caller must not report success; when the audit
+ * line is already written, a `(not recorded: <step> failed)` line follows it, so the log never shows a
+ * status as recorded that wasn't. The payload index is skipped, not failed, without the TWIST code keys.
+ * Follow-ups (credit base, TWIST code, status.updated webhook, queuing the ActiveCampaign sync — see lib/crmSync.js)
+ * are best-effort: they are logged, never thrown.
+ * Only upstream snapshots (creditSnapshot, the default) reset the credit ledger base; our own approvals already
+ * hold their amount in the ledger and must not fold it into a new base.
+ * transaction_id 'n/a' is the processor's account-update marker: no transaction status is written for it.
+ * A transaction seen for the first time without a merchant_id is stamped with the default merchant.
+ */
+class StatusError extends Error {
+  constructor(message, { httpStatus = 500, step = null, cause } = {}) {
+    super(message);
+    this.name = 'StatusError';
+    this.httpStatus = httpStatus;
+    this.step = step;
+    if (cause) this.cause = cause;
+  }
+}
+
+const isAccountUpdate = (transactionId) => String(transactionId || '').trim().toLowerCase() === 'n/a';
+
+function required(step, fn) {
+  try {
+    return fn();
+  } catch (e) {
+    throw new StatusError(`Status not recorded: ${step} failed`, { step, cause: e });
+  }
+}
+
+// Follows an audit line whose status was not recorded after all (best-effort: the caller is failing already)
+function compensateAuditLine(route, { transaction_id, status }, failedStep) {
+  try {
+    // In the route part of the line: redaction keeps only known payload fields
+    logStore.logRequest(`${route} (not recorded: ${failedStep} failed)`, { transaction_id, status });
+  } catch (e) {
+    console.error('audit compensation line error:', e);
+  }
+}
+
+/**
+ * Record a status payload ({ transaction_id, status, ...account/transaction fields }).
+ * route: shown in the audit line and stored as the transaction event source.
+ * Returns { transaction_id, status, transaction } (transaction is null for 'n/a' account updates).
+ */
+async function recordStatus(payload, { route = '/store-status', creditSnapshot = true } = {}) {
+  const body = payload || {};
+  const { transaction_id, status, loan_id, available_credit, contract_expiration, email } = body;
+  if (!transaction_id || !status) {
+    throw new StatusError('Missing transaction_id or status', { httpStatus: 400, step: 'validate' });
+  }
+  const accountUpdate = isAccountUpdate(transaction_id);
+  const previousStatus = accountUpdate ? null : transactionStore.getStatus(transaction_id);
+
+  required('audit log', () => logStore.logRequest(route, body, { lookup: true, strict: true }));
+  let transaction = null;
+  try {
+    required('payload index', () => payloadIndex.upsertIndexFromPayload(body));
+    if (!accountUpdate) {
+      transaction = required('transaction status', () => (
+        transactionStore.recordTransactionStatus(transaction_id, status, {
+          source: route,
+          orderno: body.orderno,
+          amount: body.amount,
+          loan_id,
+          merchant_id: body.merchant_id || (previousStatus ? undefined : merchants.defaultMerchantId() || undefined),
+          plan: body.plan
+        })
+      ));
+    }
+  } catch (e) {
+    compensateAuditLine(route, body, e.step);
+    throw e;
+  }
+
+  if (creditSnapshot && loan_id && typeof available_credit !== 'undefined') {
+    try { creditLedger.setBase(loan_id, available_credit, { transaction_id }); } catch (e) { console.error('creditLedger setBase error:', e); }
+  }
+  if (loan_id && contract_expiration) {
+    try { twistCodes.getOrGenerateTwistCode(loan_id, contract_expiration); } catch (e) { console.error('getOrGenerateTwistCode error:', e); }
+  }
+
+  if (transaction && previousStatus !== transaction.status) {
+    webhooks.emit('status.updated', {
+      transaction_id: String(transaction_id),
+      status: transaction.status,
+      previous_status: previousStatus || null,
+      source: route,
+      orderno: transaction.orderno,
+      amount: transaction.amount,
+      merchant_id: transaction.merchant_id
+    });
+  }
+
+  if (accountUpdate && email) {
+    try { crmSync.enqueueContactSync(body, { reason: route }); } catch (e) { console.error('crmSync enqueue error:', e); }
+  } else {
+    console.log(`[AC SKIP] transaction_id='${transaction_id}' — skipping ActiveCampaign update`);
+  }
+
+  return { transaction_id: String(transaction_id), status: String(status), transaction };
+}
+
+module.exports = {
+  StatusError,
+  recordStatus,
+};
@@ -0,0 +1,81 @@
+// lib/transactionActions.js
+const { parseAmount } = require('./creditLedger');
+
+/**
+ * Allowed post-approval transitions:
+ *   approved           → voided | captured | refunded | partially_refunded
+ *   captured           → refunded | partially_refunded
+ *   partially_refunded → refunded | partially_refunded
+ * voided / refunded / denied are terminal.
+ */
+const ALLOWED_FROM = {
+  void: ['approved'],
+  capture: ['approved'],
+  refund: ['approved', 'captured', 'partially_refunded'],
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Work out what a void/capture/refund does to a transaction without touching any store.
+ * Returns { ok: true, status, amount, release, fields } or { ok: false, httpStatus, message }.
+ *   amount  — the amount acted on (captured / refunded / voided)
+ *   release — credit to give back to the loan
+ *   fields  — values to record on the transaction (captured_amount, refunded_amount)
+ */
+function planAction(tx, action, requestedAmount) {
+  if (!ALLOWED_FROM[action]) return { ok: false, httpStatus: 400, message: 'Unknown action' };
+  if (!tx) return { ok: false, httpStatus: 404, message: 'Transaction not found' };
+  if (!ALLOWED_FROM[action].includes(tx.status)) {
+    return { ok: false, httpStatus: 409, message: `Cannot ${action} a transaction in status '${tx.status}'` };
+  }
+
+  const approved = Number(tx.amount);
+  if (!Number.isFinite(approved) || approved <= 0) {
+    return { ok: false, httpStatus: 409, message: 'Transaction has no approved amount' };
+  }
+
+  const hasAmount = requestedAmount !== undefined && requestedAmount !== null && requestedAmount !== '';
+  const amt = hasAmount ? parseAmount(requestedAmount) : NaN;
+  if (hasAmount && (!Number.isFinite(amt) || amt <= 0)) {
+    return { ok: false, httpStatus: 400, message: 'Invalid amount' };
+  }
+
+  if (action === 'void') {
+    return { ok: true, status: 'voided', amount: approved, release: approved, fields: {} };
+  }
+
+  if (action === 'capture') {
+    const capture = hasAmount ? amt : approved;
+    if (capture > approved) return { ok: false, httpStatus: 400, message: 'Capture exceeds approved amount' };
+    return {
+      ok: true,
+      status: 'captured',
+      amount: capture,
+      release: round2(approved - capture), // partial capture frees the rest of the hold
+      fields: { captured_amount: capture }
+    };
+  }
+
+  // refund
+  const captured = tx.captured_amount === undefined || tx.captured_amount === null ? NaN : Number(tx.captured_amount);
+  const refundBase = Number.isFinite(captured) ? captured : approved;
+  const alreadyRefunded = Number(tx.refunded_amount || 0);
+  const refundable = round2(refundBase - alreadyRefunded);
+  const refund = hasAmount ? amt : refundable;
+  if (refund <= 0 || refund > refundable) {
+    return { ok: false, httpStatus: 400, message: `Refund exceeds refundable amount (${refundable})` };
+  }
+  const totalRefunded = round2(alreadyRefunded + refund);
+  return {
+    ok: true,
+    status: totalRefunded >= refundBase ? 'refunded' : 'partially_refunded',
+    amount: refund,
+    release: refund,
+    fields: { refunded_amount: totalRefunded }
+  };
+}
+
+module.exports = {
+  planAction,
+};
@@ -0,0 +1,178 @@
+// lib/transactionStore.js
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const jsonStore = require('./jsonStore');
+const { parseAmount } = require('./creditLedger');
+
+/**
+ * Durable transaction store:
+ * - Every status change is appended as one JSON line to TX_LOG (append-only journal).
+ * - Every COMPACT_EVERY appends the in-memory state is written to TX_SNAPSHOT and the journal is truncated.
+ * - On boot, load() reads the snapshot and replays journal lines newer than the snapshot's seq.
+ * - onStatusChange(id, listener) is called after each recorded change of that transaction (status streams).
+ */
+const TX_LOG = process.env.TX_STORE_PATH || path.join('/mnt/data', 'transactions.jsonl');
+const TX_SNAPSHOT = process.env.TX_SNAPSHOT_PATH || path.join('/mnt/data', 'transactions_snapshot.json');
+const COMPACT_EVERY = Number(process.env.TX_COMPACT_EVERY || 500);
+
+const txs = new Map(); // transaction_id -> { transaction_id, orderno, amount, loan_id, merchant_id, status, history, createdAt, updatedAt, plan?, captured_amount?, refunded_amount? }
+let seq = 0;
+let appendedSinceCompact = 0;
+const changes = new EventEmitter(); // event name = transaction_id
+changes.setMaxListeners(0);
+
+function toAmount(v) {
+  const n = parseAmount(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function applyEvent(ev) {
+  if (!ev || !ev.transaction_id || !ev.status) return;
+  const id = String(ev.transaction_id);
+  const rec = txs.get(id) || {
+    transaction_id: id,
+    orderno: null,
+    amount: null,
+    loan_id: null,
+    merchant_id: null,
+    status: null,
+    history: [],
+    createdAt: ev.at,
+    updatedAt: ev.at
+  };
+
+  if (ev.orderno !== undefined && ev.orderno !== null && ev.orderno !== '') rec.orderno = String(ev.orderno);
+  if (ev.amount !== undefined) rec.amount = ev.amount;
+  if (ev.loan_id !== undefined && ev.loan_id !== null && ev.loan_id !== '') rec.loan_id = String(ev.loan_id);
+  if (ev.merchant_id !== undefined && ev.merchant_id !== null && ev.merchant_id !== '') rec.merchant_id = String(ev.merchant_id);
+  if (ev.plan && typeof ev.plan === 'object') rec.plan = ev.plan;
+  if (ev.captured_amount !== undefined) rec.captured_amount = ev.captured_amount;
+  if (ev.refunded_amount !== undefined) rec.refunded_amount = ev.refunded_amount;
+
+  rec.status = ev.status;
+  rec.history.push({ status: ev.status, at: ev.at, source: ev.source || null });
+  rec.updatedAt = ev.at;
+
+  txs.set(id, rec);
+  if (ev.seq > seq) seq = ev.seq;
+}
+
+function compact() {
+  const snapshot = {
+    seq,
+    compactedAt: new Date().toISOString(),
+    transactions: Object.fromEntries(txs)
+  };
+  jsonStore.writeJson(TX_SNAPSHOT, snapshot, { pretty: false });
+  // Journal lines are all <= snapshot.seq now; a crash before truncation is harmless (skipped on replay).
+  fs.writeFileSync(TX_LOG, '');
+  appendedSinceCompact = 0;
+}
+
+// Rebuild in-memory state from snapshot + journal. Safe to call more than once.
+function load() {
+  txs.clear();
+  seq = 0;
+  appendedSinceCompact = 0;
+
+  try { fs.mkdirSync(path.dirname(TX_LOG), { recursive: true }); } catch (e) {
+    console.error('transactionStore mkdir failed:', e);
+  }
+
+  let snapshotSeq = 0;
+  try {
+    const snap = jsonStore.readJson(TX_SNAPSHOT, {});
+    for (const [id, rec] of Object.entries(snap.transactions || {})) txs.set(id, rec);
+    snapshotSeq = Number(snap.seq || 0);
+    seq = snapshotSeq;
+  } catch (e) {
+    console.error('transactionStore snapshot unreadable, replaying journal only:', e);
+  }
+
+  if (fs.existsSync(TX_LOG)) {
+    const raw = fs.readFileSync(TX_LOG, 'utf-8');
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      let ev;
+      try { ev = JSON.parse(line); } catch { continue; } // torn last line after a crash
+      if (Number(ev.seq || 0) <= snapshotSeq) continue;
+      applyEvent(ev);
+      appendedSinceCompact++;
+    }
+  }
+
+  return txs.size;
+}
+
+/**
+ * Record a status change for a transaction.
+ * meta: { source, orderno, amount, loan_id, merchant_id, plan, captured_amount, refunded_amount } — source is the route that set the status;
+ * plan is the installment plan chosen in the form (lib/pricing.js).
+ */
+function recordTransactionStatus(transactionId, status, meta = {}) {
+  if (!transactionId || !status) return null;
+
+  const ev = {
+    seq: seq + 1,
+    transaction_id: String(transactionId),
+    status: String(status),
+    at: new Date().toISOString(),
+    source: meta.source || null
+  };
+  if (meta.orderno !== undefined) ev.orderno = meta.orderno;
+  const amt = toAmount(meta.amount);
+  if (amt !== undefined) ev.amount = amt;
+  if (meta.loan_id !== undefined) ev.loan_id = meta.loan_id;
+  if (meta.merchant_id !== undefined) ev.merchant_id = meta.merchant_id;
+  if (meta.plan && typeof meta.plan === 'object') ev.plan = meta.plan;
+  for (const k of ['captured_amount', 'refunded_amount']) {
+    const v = toAmount(meta[k]);
+    if (v !== undefined) ev[k] = v;
+  }
+
+  fs.appendFileSync(TX_LOG, JSON.stringify(ev) + '\n');
+  applyEvent(ev);
+  try {
+    changes.emit(ev.transaction_id, txs.get(ev.transaction_id));
+  } catch (e) {
+    console.error('transactionStore listener error:', e);
+  }
+
+  if (++appendedSinceCompact >= COMPACT_EVERY) {
+    try { compact(); } catch (e) { console.error('transactionStore compact error:', e); }
+  }
+
+  return txs.get(ev.transaction_id);
+}
+
+function getTransaction(transactionId) {
+  return txs.get(String(transactionId)) || null;
+}
+
+function getStatus(transactionId) {
+  const rec = txs.get(String(transactionId));
+  return rec ? rec.status : null;
+}
+
+// Every transaction record (reports)
+function listTransactions() {
+  return Array.from(txs.values());
+}
+
+// Returns an unsubscribe function
+function onStatusChange(transactionId, listener) {
+  const id = String(transactionId);
+  changes.on(id, listener);
+  return () => changes.off(id, listener);
+}
+
+module.exports = {
+  load,
+  compact,
+  recordTransactionStatus,
+  getTransaction,
+  getStatus,
+  listTransactions,
+  onStatusChange,
+};
@@ -0,0 +1,273 @@
+// lib/twistCodes.js
+const path = require('path');
+const crypto = require('crypto');
+const jsonStore = require('./jsonStore');
+
+/**
+ * Single owner of code.json. TWIST codes are encrypted at rest:
+ *   {
+ *     version: 2,
+ *     codes:  { [HMAC(loan|exp)]: { kid, iv, tag, ct, edk } },  // envelope: per-code data key (DEK) wrapped by the KEK
+ *     byCode: { [HMAC(code:<code>)]: HMAC(loan|exp) },          // reverse lookup without decrypting everything
+ *     legacy: { [sha256(loan|exp)]: { ...encrypted } }          // v1 entries whose loan/exp pair was unknown at migration
+ *   }
+ * Keys come from env:
+ *   TWIST_CODE_KEK       32 bytes (hex or base64) — wraps per-code DEKs (AES-256-GCM)
+ *   TWIST_CODE_HMAC_KEY  32 bytes (hex or base64) — keys the lookup HMAC that replaced the plain sha256
+ * Writes go through jsonStore (temp + rename, backups). If code.json cannot be parsed,
+ * lookups may be served from a backup but NEW codes are never generated (JsonStoreError 'ECORRUPT'),
+ * so an existing loan can't silently get a different code.
+ * A plaintext v1 file is refused until `npm run migrate:codes` has converted it.
+ */
+const twistCodePath = process.env.TWIST_CODE_PATH || path.join('/mnt/data', 'code.json');
+
+class TwistCodeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TwistCodeError';
+    this.code = code;
+  }
+}
+
+function readKeyFromEnv(name) {
+  const raw = String(process.env[name] || '').trim();
+  if (!raw) throw new TwistCodeError(`${name} is not configured`, 'ENOKEY');
+  const buf = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (buf.length !== 32) throw new TwistCodeError(`${name} must be 32 bytes (hex or base64)`, 'ENOKEY');
+  return buf;
+}
+
+let keys = null;
+function getKeys() {
+  if (keys) return keys;
+  const kek = readKeyFromEnv('TWIST_CODE_KEK');
+  const mac = readKeyFromEnv('TWIST_CODE_HMAC_KEY');
+  const kid = crypto.createHash('sha256').update(kek).digest('hex').slice(0, 8);
+  keys = { kek, mac, kid };
+  return keys;
+}
+
+function isConfigured() {
+  try { getKeys(); return true; } catch { return false; }
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getKeys().mac).update(value).digest('hex');
+}
+
+// Lookup key for a (loan, expiration) pair
+function codeKey(loanId, expiration) {
+  return hmac(`${loanId}|${expiration}`);
+}
+
+// Unsalted key used by v1 files (migration / legacy lookups only)
+function legacyCodeKey(loanId, expiration) {
+  return crypto.createHash('sha256').update(`${loanId}|${expiration}`).digest('hex');
+}
+
+function codeFingerprint(code) {
+  return hmac(`code:${code}`);
+}
+
+/* ---- AES-256-GCM envelope ---- */
+function gcmEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ct };
+}
+
+function gcmDecrypt(key, iv, tag, ct) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+function encryptCode(code) {
+  const { kek, kid } = getKeys();
+  const dek = crypto.randomBytes(32);
+  const body = gcmEncrypt(dek, Buffer.from(String(code), 'utf-8'));
+  const wrapped = gcmEncrypt(kek, dek);
+  return {
+    kid,
+    iv: body.iv.toString('base64'),
+    tag: body.tag.toString('base64'),
+    ct: body.ct.toString('base64'),
+    edk: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ct]).toString('base64') // iv(12) | tag(16) | ct
+  };
+}
+
+function decryptCode(rec) {
+  const { kek, kid } = getKeys();
+  if (!rec || rec.kid !== kid) throw new TwistCodeError('TWIST code was encrypted with a different key', 'EKEY');
+  const edk = Buffer.from(rec.edk, 'base64');
+  const dek = gcmDecrypt(kek, edk.subarray(0, 12), edk.subarray(12, 28), edk.subarray(28));
+  return gcmDecrypt(dek, Buffer.from(rec.iv, 'base64'), Buffer.from(rec.tag, 'base64'), Buffer.from(rec.ct, 'base64')).toString('utf-8');
+}
+
+/* ---- code.json IO ---- */
+function shapeStore(j) {
+  return { version: 2, codes: j.codes || {}, byCode: j.byCode || {}, legacy: j.legacy || {} };
+}
+
+function isLegacyFile(j) {
+  return !!j && Object.keys(j).length > 0 && j.version !== 2;
+}
+
+// Throws JsonStoreError when code.json and all backups are unreadable, TwistCodeError before migration
+function readStore() {
+  const j = jsonStore.readJson(twistCodePath, {});
+  if (isLegacyFile(j)) {
+    throw new TwistCodeError('code.json is still plaintext (v1); run `npm run migrate:codes`', 'EMIGRATE');
+  }
+  return shapeStore(j);
+}
+
+// Expiration spellings we may have stored under (MMYY, MM/YY, YYYY-MM-DD)
+function expCandidates(v) {
+  const s = String(v || '').trim();
+  const out = new Set();
+  if (s) out.add(s);
+  let m = s.match(/^(\d{2})\/(\d{2})$/);
+  if (m) { out.add(`${m[1]}${m[2]}`); out.add(`${m[1]}/${m[2]}`); }
+  if (/^\d{4}$/.test(s)) { out.add(s); out.add(`${s.slice(0,2)}/${s.slice(2)}`); }
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) {
+    out.add(`${m[2]}${m[1].slice(-2)}`);
+    out.add(`${m[2]}/${m[1].slice(-2)}`);
+    out.add(s);
+  }
+  return Array.from(out);
+}
+
+// Move a legacy (sha256-keyed) entry under its HMAC key once we learn its loan/exp pair
+function promoteLegacy(legacyKey, key) {
+  try {
+    jsonStore.updateJson(twistCodePath, (raw) => {
+      const store = Object.assign(raw, shapeStore(raw));
+      const rec = store.legacy[legacyKey];
+      if (!rec || store.codes[key]) return { changed: false };
+      store.codes[key] = rec;
+      delete store.legacy[legacyKey];
+      const code = decryptCode(rec);
+      store.byCode[codeFingerprint(code)] = key;
+      return { changed: true };
+    });
+  } catch (e) {
+    console.error('twistCodes promoteLegacy error:', e.message);
+  }
+}
+
+// Returns { twistcode, usedExpiration } or null
+function lookupTwistCode(loanId, expiration) {
+  if (!loanId || !expiration) return null;
+  const store = readStore();
+  const variants = expCandidates(expiration);
+  for (const exp of variants) {
+    const rec = store.codes[codeKey(loanId, exp)];
+    if (rec) return { twistcode: decryptCode(rec), usedExpiration: exp };
+  }
+  for (const exp of variants) {
+    const legacyKey = legacyCodeKey(loanId, exp);
+    const rec = store.legacy[legacyKey];
+    if (rec) {
+      promoteLegacy(legacyKey, codeKey(loanId, exp));
+      return { twistcode: decryptCode(rec), usedExpiration: exp };
+    }
+  }
+  return null;
+}
+
+function randomCode() {
+  return Array.from({ length: 12 }, () => crypto.randomInt(10)).join('');
+}
+
+// Exact (loan|exp) key — MUST stay deterministic for existing codes
+function getOrGenerateTwistCode(loanId, expiration) {
+  if (!loanId || !expiration) return null;
+  const key = codeKey(loanId, expiration);
+  const existing = lookupTwistCode(loanId, expiration);
+  if (existing && existing.usedExpiration === String(expiration).trim()) return existing.twistcode;
+
+  return jsonStore.updateJson(twistCodePath, (raw) => {
+    if (isLegacyFile(raw)) {
+      throw new TwistCodeError('code.json is still plaintext (v1); run `npm run migrate:codes`', 'EMIGRATE');
+    }
+    const store = Object.assign(raw, shapeStore(raw));
+    if (store.codes[key]) return { changed: false, result: decryptCode(store.codes[key]) };
+    let code;
+    do { code = randomCode(); } while (store.byCode[codeFingerprint(code)]);
+    store.codes[key] = encryptCode(code);
+    store.byCode[codeFingerprint(code)] = key;
+    return { changed: true, result: code };
+  });
+}
+
+// Reverse-find the HMAC(loan|exp) key by full code
+function reverseFindKeyByCode(code) {
+  if (!/^\d{12}$/.test(String(code))) return null;
+  return readStore().byCode[codeFingerprint(String(code))] || null;
+}
+
+function middle4Of(code12) {
+  if (!code12 || String(code12).length < 12) return null;
+  return String(code12).slice(4, 8);
+}
+
+// What GET routes return unless the caller holds the full-code scope
+function maskCode(code12) {
+  const mid = middle4Of(code12);
+  return mid ? `****${mid}****` : null;
+}
+
+/**
+ * One-time conversion of a plaintext v1 code.json ({ sha256(loan|exp): code }).
+ * pairs: iterable of [loan_id, contract_expiration] seen in logs / payload index, used to re-key entries
+ * under the HMAC; entries whose pair is unknown are kept encrypted under `legacy` and promoted on first lookup.
+ * Returns { migrated, legacy, alreadyMigrated }.
+ */
+function migratePlaintextFile(pairs) {
+  return jsonStore.updateJson(twistCodePath, (raw) => {
+    if (!isLegacyFile(raw)) return { changed: false, result: { migrated: 0, legacy: 0, alreadyMigrated: true } };
+
+    const byLegacyKey = new Map();
+    for (const [loanId, exp] of pairs) {
+      if (loanId && exp) byLegacyKey.set(legacyCodeKey(loanId, exp), codeKey(loanId, exp));
+    }
+
+    const store = shapeStore({});
+    let migrated = 0;
+    let legacy = 0;
+    for (const [k, v] of Object.entries(raw)) {
+      if (!/^\d{12}$/.test(String(v))) continue; // e.g. stray 'last' markers
+      const rec = encryptCode(String(v));
+      const key = byLegacyKey.get(k);
+      if (key) {
+        store.codes[key] = rec;
+        store.byCode[codeFingerprint(String(v))] = key;
+        migrated++;
+      } else {
+        store.legacy[k] = rec;
+        legacy++;
+      }
+      delete raw[k];
+    }
+    Object.assign(raw, store);
+    return { changed: true, result: { migrated, legacy, alreadyMigrated: false } };
+  });
+}
+
+module.exports = {
+  TwistCodeError,
+  twistCodePath,
+  isConfigured,
+  codeKey,
+  legacyCodeKey,
+  expCandidates,
+  lookupTwistCode,
+  getOrGenerateTwistCode,
+  reverseFindKeyByCode,
+  middle4Of,
+  maskCode,
+  migratePlaintextFile,
+};
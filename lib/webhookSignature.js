@@ -0,0 +1,109 @@
+// lib/webhookSignature.js
+const crypto = require('crypto');
+
+/**
+ * HMAC-SHA256 request signing for processor webhooks (/store-status).
+ *   X-Twist-Signature: t=<unix seconds>,n=<nonce>,v1=<hex HMAC-SHA256(secret, `${t}.${n}.${rawBody}`)>
+ * - The timestamp must be within TOLERANCE_SECONDS of our clock.
+ * - Each nonce is accepted once while its timestamp is inside the window (in-memory cache, bounded);
+ *   anything older is already rejected by the timestamp check.
+ * - WEBHOOK_SIGNING_SECRETS may hold several comma-separated secrets so the processor can rotate without downtime.
+ * - Signing is optional: with no secret configured the header is ignored; with WEBHOOK_SIGNATURE_REQUIRED=true
+ *   unsigned requests are rejected, otherwise they pass and only signed ones are verified.
+ */
+const HEADER = 'x-twist-signature';
+const TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300);
+const NONCE_CACHE_MAX = Number(process.env.WEBHOOK_NONCE_CACHE_MAX || 10000);
+
+function configuredSecrets() {
+  return String(process.env.WEBHOOK_SIGNING_SECRETS || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function isRequired() {
+  return String(process.env.WEBHOOK_SIGNATURE_REQUIRED || '').toLowerCase() === 'true';
+}
+
+function computeSignature(secret, timestamp, nonce, rawBody) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''), 'utf-8'))
+    .digest('hex');
+}
+
+// Header value for an outgoing request (also what the processor has to produce)
+function sign(secret, rawBody, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') } = {}) {
+  return `t=${timestamp},n=${nonce},v1=${computeSignature(secret, timestamp, nonce, rawBody)}`;
+}
+
+function parseHeader(value) {
+  const out = { t: null, n: null, v1: [] };
+  for (const part of String(value || '').split(',')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    const v = part.slice(i + 1).trim();
+    if (k === 'v1') out.v1.push(v);
+    else if (k === 't' || k === 'n') out[k] = v;
+  }
+  return out;
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a), 'hex');
+  const bb = Buffer.from(String(b), 'hex');
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+// nonce -> expiry (ms); Map keeps insertion order so the oldest entries are dropped first
+function createNonceCache(max = NONCE_CACHE_MAX) {
+  const seen = new Map();
+  return {
+    has(nonce, now = Date.now()) {
+      const exp = seen.get(nonce);
+      return exp !== undefined && exp > now;
+    },
+    add(nonce, expiresAt, now = Date.now()) {
+      for (const [k, exp] of seen) {
+        if (exp > now && seen.size < max) break;
+        seen.delete(k);
+      }
+      seen.set(nonce, expiresAt);
+    },
+    get size() { return seen.size; }
+  };
+}
+
+/**
+ * Verify a signature header against the raw body.
+ * Returns { ok: true } or { ok: false, reason: 'missing' | 'malformed' | 'stale' | 'mismatch' | 'replay' }.
+ * The nonce is only remembered once the signature checks out.
+ */
+function verify(header, rawBody, { secrets = configuredSecrets(), now = Date.now(), toleranceSeconds = TOLERANCE_SECONDS, nonceCache } = {}) {
+  if (!header) return { ok: false, reason: 'missing' };
+  const { t, n, v1 } = parseHeader(header);
+  const ts = Number(t);
+  if (!t || !/^\d+$/.test(t) || !n || !v1.length) return { ok: false, reason: 'malformed' };
+  if (Math.abs(now / 1000 - ts) > toleranceSeconds) return { ok: false, reason: 'stale' };
+
+  const matched = secrets.some(secret => {
+    const expected = computeSignature(secret, t, n, rawBody);
+    return v1.some(sig => safeEqualHex(sig, expected));
+  });
+  if (!matched) return { ok: false, reason: 'mismatch' };
+
+  if (nonceCache) {
+    if (nonceCache.has(n, now)) return { ok: false, reason: 'replay' };
+    nonceCache.add(n, (ts + toleranceSeconds) * 1000, now);
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  HEADER,
+  configuredSecrets,
+  isRequired,
+  sign,
+  parseHeader,
+  createNonceCache,
+  verify,
+};
@@ -0,0 +1,188 @@
+// lib/webhooks.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const webhookSignature = require('./webhookSignature');
+const merchants = require('./merchants');
+const { createJobQueue } = require('./jobQueue');
+
+/**
+ * Outbound event webhooks (server-side replacement for the form's old Zapier call).
+ * Events: twistpay.approved, twistpay.denied, status.updated, refund.created.
+ *
+ * Subscribers: env OUTBOUND_WEBHOOKS_JSON or the file at OUTBOUND_WEBHOOKS_FILE
+ * (default /mnt/data/outbound_webhooks.json, re-read when its mtime changes):
+ *   { subscribers: [ { id, url, secret, events: ['twistpay.approved', ...] | ['*'], disabled? } ] }
+ * Merchants with a webhook_url/webhook_secret (lib/merchants.js) are subscribed to every event, but only
+ * receive events whose data.merchant_id is theirs (subscriber id `merchant:<id>`).
+ * ZAPIER_WEBHOOK_URL subscribes the Zapier catch hook the form used to post approvals to (subscriber id `zapier`,
+ * twistpay.approved only, format 'form'), so existing Zaps keep receiving them. ZAPIER_WEBHOOK_SECRET is optional.
+ *
+ * emit() puts one delivery per matching subscriber on a persistent retry queue (lib/jobQueue.js).
+ * Each delivery is a JSON POST of { id, type, created_at, data } with
+ *   X-Twist-Event, X-Twist-Delivery (stable across retries, for dedupe) and
+ *   X-Twist-Signature — same scheme as inbound processor webhooks (lib/webhookSignature.js), signed with the
+ *   subscriber's own secret, so receivers can verify it the same way.
+ * Subscribers with `format: 'form'` get the flat form-encoded fields the old Zapier call sent instead of JSON
+ * (event, event_id, created_at, status/approved_at for approvals, then the event data); their secret is optional.
+ * Any 2xx is delivered; anything else is retried with exponential backoff, then dead-lettered for admin replay.
+ */
+const EVENTS = ['twistpay.approved', 'twistpay.denied', 'status.updated', 'refund.created'];
+const SUBSCRIBERS_FILE = process.env.OUTBOUND_WEBHOOKS_FILE || path.join('/mnt/data', 'outbound_webhooks.json');
+const QUEUE_FILE = process.env.OUTBOUND_WEBHOOK_QUEUE_PATH || path.join('/mnt/data', 'outbound_webhook_queue.json');
+const TIMEOUT_MS = Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || 10000);
+
+let fileSubscribers = [];
+let fileMtime = null;
+
+function normalizeSubscriber(s, source) {
+  const form = !!s && s.format === 'form';
+  if (!s || !s.id || !/^https?:\/\//i.test(String(s.url || '')) || (!s.secret && !form)) {
+    console.error(`webhooks: ignoring malformed subscriber from ${source}:`, s && s.id);
+    return null;
+  }
+  const events = (Array.isArray(s.events) ? s.events : []).filter(e => e === '*' || EVENTS.includes(e));
+  return {
+    id: String(s.id),
+    url: String(s.url),
+    secret: s.secret ? String(s.secret) : null,
+    format: form ? 'form' : 'json',
+    events,
+    merchant_id: s.merchant_id || null,
+    disabled: !!s.disabled,
+    source
+  };
+}
+
+function readFileSubscribers() {
+  let stat;
+  try { stat = fs.statSync(SUBSCRIBERS_FILE); } catch { fileMtime = null; fileSubscribers = []; return; }
+  if (stat.mtimeMs === fileMtime) return;
+  fileMtime = stat.mtimeMs;
+  try {
+    fileSubscribers = JSON.parse(fs.readFileSync(SUBSCRIBERS_FILE, 'utf-8')).subscribers || [];
+  } catch (e) {
+    console.error('webhooks: unable to parse', SUBSCRIBERS_FILE, e.message);
+    fileSubscribers = [];
+  }
+}
+
+function readEnvSubscribers() {
+  if (!process.env.OUTBOUND_WEBHOOKS_JSON) return [];
+  try {
+    return JSON.parse(process.env.OUTBOUND_WEBHOOKS_JSON).subscribers || [];
+  } catch (e) {
+    console.error('webhooks: unable to parse OUTBOUND_WEBHOOKS_JSON', e.message);
+    return [];
+  }
+}
+
+function merchantSubscribers() {
+  return merchants.activeMerchants()
+    .filter(m => m.webhook_url)
+    .map(m => ({ id: `merchant:${m.id}`, url: m.webhook_url, secret: m.webhook_secret, events: ['*'], merchant_id: m.id }));
+}
+
+function zapierSubscribers() {
+  if (!process.env.ZAPIER_WEBHOOK_URL) return [];
+  return [{
+    id: 'zapier',
+    url: process.env.ZAPIER_WEBHOOK_URL,
+    secret: process.env.ZAPIER_WEBHOOK_SECRET || null,
+    events: ['twistpay.approved'],
+    format: 'form'
+  }];
+}
+
+function getSubscribers() {
+  readFileSubscribers();
+  return [
+    ...zapierSubscribers().map(s => normalizeSubscriber(s, 'env')),
+    ...readEnvSubscribers().map(s => normalizeSubscriber(s, 'env')),
+    ...fileSubscribers.map(s => normalizeSubscriber(s, 'file')),
+    ...merchantSubscribers().map(s => normalizeSubscriber(s, 'merchant'))
+  ].filter(Boolean);
+}
+
+// Admin view — never includes secrets
+function listSubscribers() {
+  return getSubscribers().map(({ id, url, events, format, merchant_id, disabled, source }) => ({ id, url, events, format, merchant_id, disabled, source }));
+}
+
+// The old Zapier call's shape: scalar fields only, objects as JSON
+function formBody(event) {
+  const fields = { event: event.type, event_id: event.id, created_at: event.created_at };
+  if (event.type === 'twistpay.approved') Object.assign(fields, { status: 'approved', approved_at: event.created_at });
+  Object.assign(fields, event.data);
+  const form = new URLSearchParams();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined || v === null) continue;
+    form.append(k, typeof v === 'object' ? JSON.stringify(v) : String(v));
+  }
+  return form.toString();
+}
+
+async function deliver(job) {
+  const { subscriber_id, event } = job.payload;
+  const sub = getSubscribers().find(s => s.id === subscriber_id);
+  if (!sub || sub.disabled) {
+    console.log(`[WEBHOOK DROP] ${event.type} ${event.id} — subscriber '${subscriber_id}' removed or disabled`);
+    return;
+  }
+  const form = sub.format === 'form';
+  const rawBody = form ? formBody(event) : JSON.stringify(event);
+  const resp = await fetch(sub.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': form ? 'application/x-www-form-urlencoded;charset=UTF-8' : 'application/json',
+      'X-Twist-Event': event.type,
+      'X-Twist-Delivery': job.id,
+      ...(sub.secret ? { 'X-Twist-Signature': webhookSignature.sign(sub.secret, rawBody) } : {})
+    },
+    body: rawBody,
+    timeout: TIMEOUT_MS
+  });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} from ${sub.id}`);
+}
+
+const queue = createJobQueue({
+  name: 'webhooks',
+  file: QUEUE_FILE,
+  handler: deliver,
+  maxAttempts: Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || 10),
+  baseDelayMs: Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000,
+  maxDelayMs: Number(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_SECONDS || 6 * 60 * 60) * 1000
+});
+
+/**
+ * Queue `type` for every active subscriber listening to it. Never throws — a notification problem
+ * must not fail the request that caused it. Returns the event (or null if nobody is subscribed).
+ */
+function emit(type, data) {
+  try {
+    const subs = getSubscribers().filter(s => !s.disabled
+      && (s.events.includes('*') || s.events.includes(type))
+      && (!s.merchant_id || s.merchant_id === (data && data.merchant_id)));
+    if (!subs.length) return null;
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('base64url')}`,
+      type,
+      created_at: new Date().toISOString(),
+      data
+    };
+    for (const s of subs) queue.enqueue(event.type, { subscriber_id: s.id, event });
+    return event;
+  } catch (e) {
+    console.error(`webhooks emit ${type} error:`, e);
+    return null;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  emit,
+  listSubscribers,
+  queue,
+  start: () => queue.start(),
+};
@@ -1,56 +1,88 @@
 (function () {
-  var FORM_URL = "https://twist-status-server.onrender.com/twistpay-form";
-  var ALLOWED_PARENTS = [
-    "https://twistcard.ca",
-    "https://www.twistcard.ca",
-    "https://draecollection.com",
-    "https://www.draecollection.com",
-    "https://app.twistcard.ca"
-    "https://app.twistcard.ca"
-"https://pqwkcy-ek.myshopify.com"
-    // add more: "https://staging.example.com"
-  ];
-
-  try {
-    var parentHost = window.location !== window.parent.location
-      ? document.referrer || ""
-      : window.location.href;
-    if (!ALLOWED_PARENTS.some(h => parentHost.startsWith(h))) {
-      console.warn("[TwistPay Embed] Refused to embed: origin not on allowlist.", parentHost);
-      return;
-    }
-  } catch (e) {
-    console.warn("[TwistPay Embed] Could not verify parent origin:", e);
-  }
+  var DEFAULT_BASE = "https://twist-status-server.onrender.com";
 
   var currentScript = document.currentScript || (function () {
     var scripts = document.getElementsByTagName("script");
     return scripts[scripts.length - 1];
   })();
 
+  // Talk to the server this script was loaded from (falls back to production)
+  var BASE = (function () {
+    try { return new URL(currentScript.src).origin; } catch (e) { return DEFAULT_BASE; }
+  })();
+  var FORM_URL = BASE + "/twistpay-form";
+  // data-merchant="<id>" from the merchant registry; without it the server picks the merchant owning this page's origin
+  var merchantId = currentScript.getAttribute("data-merchant") || "";
+
   var amountParam = currentScript.getAttribute("data-amount-param") || "amount";
   var ordernoParam = currentScript.getAttribute("data-orderno-param") || "orderno";
   var emailParam  = currentScript.getAttribute("data-email-param")  || "email";
+  var sessionParam = currentScript.getAttribute("data-session-param") || "checkout_session";
+
+  function hostOrigin() {
+    try {
+      var parentHost = window.location !== window.parent.location
+        ? document.referrer || ""
+        : window.location.href;
+      return new URL(parentHost).origin;
+    } catch (e) {
+      console.warn("[TwistPay Embed] Could not verify parent origin:", e);
+      return "";
+    }
+  }
+
+  function mount(embed) {
+    var sp = new URLSearchParams(window.location.search);
+    var amount  = sp.get(amountParam)  || "";
+    var orderno = sp.get(ordernoParam) || "";
+    var email   = sp.get(emailParam)   || "";
+    // Checkout session from the merchant's server (POST /checkout-sessions): the form then takes amount/orderno from it
+    var session = currentScript.getAttribute("data-session") || sp.get(sessionParam) || "";
+    // Form language: data-lang="fr-CA" on the script tag, else the host page's <html lang>; the form falls back to the browser
+    var lang = currentScript.getAttribute("data-lang") || document.documentElement.lang || "";
 
-  var sp = new URLSearchParams(window.location.search);
-  var amount  = sp.get(amountParam)  || "";
-  var orderno = sp.get(ordernoParam) || "";
-  var email   = sp.get(emailParam)   || "";
+    // Merchants that must use sessions never get amount/orderno from the page URL, which the shopper can edit
+    if (!session && embed.checkout_session_required) {
+      console.warn("[TwistPay Embed] This merchant requires a checkout session (data-session or ?" + sessionParam + "=).");
+      return;
+    }
+    var params = session ? { session, email } : { amount, orderno, email };
+    if (lang) params.lang = lang;
+    params.merchant = embed.merchant_id;
+    params.et = embed.embed_token;
+    var src = FORM_URL + "?" + new URLSearchParams(params).toString();
 
-  var src = FORM_URL + "?" + new URLSearchParams({ amount, orderno, email }).toString();
+    var container = document.createElement("div");
+    container.style.maxWidth = "560px";
+    container.style.margin = "0 auto";
 
-  var container = document.createElement("div");
-  container.style.maxWidth = "560px";
-  container.style.margin = "0 auto";
+    var iframe = document.createElement("iframe");
+    iframe.src = src;
+    iframe.width = "100%";
+    iframe.height = "980";
+    iframe.style.border = "0";
+    iframe.allow = "clipboard-read; clipboard-write";
+    iframe.setAttribute("title", "Twist Card Payment");
 
-  var iframe = document.createElement("iframe");
-  iframe.src = src;
-  iframe.width = "100%";
-  iframe.height = "980";
-  iframe.style.border = "0";
-  iframe.allow = "clipboard-read; clipboard-write";
-  iframe.setAttribute("title", "Twist Card Payment");
+    container.appendChild(iframe);
+    currentScript.parentNode.insertBefore(container, currentScript.nextSibling);
+  }
 
-  container.appendChild(iframe);
-  currentScript.parentNode.insertBefore(container, currentScript.nextSibling);
+  // The server only hands out an embed token to pages on one of the merchant's registered origins
+  // (GET /embed-token); the form refuses to load in a frame without it, so there's nothing to mount otherwise.
+  var tokenUrl = BASE + "/embed-token" + (merchantId ? "?merchant=" + encodeURIComponent(merchantId) : "");
+  fetch(tokenUrl)
+    .then(function (r) {
+      if (r.status === 403) {
+        console.warn("[TwistPay Embed] Refused to embed: origin not on allowlist.", hostOrigin());
+        return null;
+      }
+      return r.ok ? r.json() : Promise.reject(new Error("HTTP " + r.status));
+    })
+    .then(function (data) {
+      if (data && data.embed_token) mount(data);
+    })
+    .catch(function (e) {
+      console.warn("[TwistPay Embed] Could not get an embed token:", e);
+    });
 })();
@@ -0,0 +1,59 @@
+// scripts/api-keys.js
+// Manage the API key registry file (see lib/apiKeys.js). The raw key is printed ONCE on create; only its hash is stored.
+// Usage:
+//   npm run keys -- create <id> <scope,scope> [expires_at ISO] [label]
+//   npm run keys -- expire <id> [expires_at ISO, default now]
+//   npm run keys -- disable <id>
+//   npm run keys -- list
+require('dotenv').config();
+const apiKeys = require('../lib/apiKeys');
+const jsonStore = require('../lib/jsonStore');
+
+function update(mutator) {
+  return jsonStore.updateJson(apiKeys.API_KEYS_FILE, (data) => {
+    data.keys = Array.isArray(data.keys) ? data.keys : [];
+    return mutator(data.keys);
+  });
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function create(id, scopesArg, expiresAt, label) {
+  if (!id || !scopesArg) fail('Usage: create <id> <scope,scope> [expires_at] [label]');
+  const scopes = scopesArg.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = scopes.filter(s => !apiKeys.SCOPES.includes(s));
+  if (unknown.length) fail(`Unknown scopes: ${unknown.join(', ')} (allowed: ${apiKeys.SCOPES.join(', ')})`);
+  if (expiresAt && isNaN(Date.parse(expiresAt))) fail(`Invalid expires_at: ${expiresAt}`);
+
+  const raw = apiKeys.generateKey();
+  update((keys) => {
+    if (keys.some(k => k.id === id)) fail(`Key id already exists: ${id}`);
+    keys.push({ id, hash: apiKeys.hashKey(raw), scopes, expires_at: expiresAt || null, label: label || null, created_at: new Date().toISOString() });
+    return { changed: true };
+  });
+  console.log(`Created ${id} [${scopes.join(', ')}]${expiresAt ? ` expiring ${expiresAt}` : ''}`);
+  console.log(`Key (shown once): ${raw}`);
+}
+
+function setField(id, field, value) {
+  if (!id) fail(`Usage: ${field === 'disabled' ? 'disable' : 'expire'} <id>`);
+  update((keys) => {
+    const k = keys.find(x => x.id === id);
+    if (!k) fail(`No key with id ${id} in ${apiKeys.API_KEYS_FILE}`);
+    k[field] = value;
+    return { changed: true };
+  });
+  console.log(`${id}: ${field} = ${value}`);
+}
+
+const [cmd, ...args] = process.argv.slice(2);
+switch (cmd) {
+  case 'create': create(...args); break;
+  case 'expire': setField(args[0], 'expires_at', args[1] || new Date().toISOString()); break;
+  case 'disable': setField(args[0], 'disabled', true); break;
+  case 'list': console.log(JSON.stringify(apiKeys.listKeys(), null, 2)); break;
+  default: fail('Usage: create | expire | disable | list (see header of scripts/api-keys.js)');
+}
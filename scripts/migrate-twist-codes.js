@@ -0,0 +1,75 @@
+// scripts/migrate-twist-codes.js
+// One-time: encrypt a plaintext code.json and re-key code.json + payload_index.json from sha256(loan|exp) to HMAC,
+// and replace the plaintext payloads older payload_index.json records carry (set LOOKUP_STORE_KEY to keep them sealed).
+// Usage: TWIST_CODE_KEK=... TWIST_CODE_HMAC_KEY=... npm run migrate:codes
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const twistCodes = require('../lib/twistCodes');
+const payloadIndex = require('../lib/payloadIndex');
+const logStore = require('../lib/logStore');
+const jsonStore = require('../lib/jsonStore');
+
+// Every (loan_id, contract_expiration) pair we can find, in every spelling it may have been stored under
+function collectPairs() {
+  const pairs = new Map();
+  const add = (loanId, exp) => {
+    if (!loanId || !exp) return;
+    for (const v of twistCodes.expCandidates(exp)) pairs.set(`${loanId}|${v}`, [String(loanId), v]);
+  };
+
+  const idx = jsonStore.readJson(payloadIndex.PAYLOAD_INDEX, {});
+  for (const rec of Object.values(idx.byKey || {})) {
+    if (rec) add(rec.loan_id, rec.contract_expiration);
+  }
+
+  for (const { payload } of logStore.allPayloads()) {
+    add(payload.loan_id, payload.contract_expiration);
+  }
+  return pairs.values();
+}
+
+// Backups written before migration hold plaintext codes
+function removePlaintextBackups(file) {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  let removed = 0;
+  for (const name of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+    if (name.startsWith(`${base}.bak.`)) {
+      fs.unlinkSync(path.join(dir, name));
+      removed++;
+    }
+  }
+  return removed;
+}
+
+function main() {
+  if (!twistCodes.isConfigured()) {
+    console.error('TWIST_CODE_KEK and TWIST_CODE_HMAC_KEY must be set (32 bytes, hex or base64).');
+    process.exit(1);
+  }
+
+  const codes = twistCodes.migratePlaintextFile(collectPairs());
+  if (codes.alreadyMigrated) {
+    console.log('code.json: already encrypted, nothing to do');
+  } else {
+    console.log(`code.json: ${codes.migrated} codes re-keyed, ${codes.legacy} kept under legacy keys (promoted on first lookup)`);
+    console.log(`code.json: removed ${removePlaintextBackups(twistCodes.twistCodePath)} plaintext backups`);
+  }
+
+  const rekeyed = payloadIndex.migrateIndex();
+  if (rekeyed) {
+    console.log(`payload_index.json: ${rekeyed} records re-keyed, plaintext codes dropped`);
+    console.log(`payload_index.json: removed ${removePlaintextBackups(payloadIndex.PAYLOAD_INDEX)} plaintext backups`);
+  } else {
+    console.log('payload_index.json: already migrated, nothing to do');
+  }
+
+  const scrubbed = payloadIndex.scrubPayloads();
+  if (scrubbed) {
+    console.log(`payload_index.json: ${scrubbed} plaintext payloads replaced by sealed account fields`);
+    console.log(`payload_index.json: removed ${removePlaintextBackups(payloadIndex.PAYLOAD_INDEX)} plaintext backups`);
+  }
+}
+
+main();
@@ -1,289 +1,217 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
 /* PATCH: import validator (kept from last good version) */
 const { validateTransaction } = require('./validation');
 /* NEW: durable payload index module */
 const payloadIndex = require('./lib/payloadIndex');
+const transactionStore = require('./lib/transactionStore');
+const logStore = require('./lib/logStore');
+const twistCodes = require('./lib/twistCodes');
+const { phonesFromEntry, normalizePayloadRecord, last10 } = require('./lib/records');
+const creditLedger = require('./lib/creditLedger');
+const idempotencyStore = require('./lib/idempotencyStore');
+const { planAction } = require('./lib/transactionActions');
+const apiKeys = require('./lib/apiKeys');
+const webhookSignature = require('./lib/webhookSignature');
+const attemptLimiter = require('./lib/attemptLimiter');
+const { getOtpProvider } = require('./lib/otpProvider');
+const otpChallenges = require('./lib/otpChallenges');
+const redaction = require('./lib/redaction');
+const lookupStore = require('./lib/lookupStore');
+const rules = require('./lib/rules');
+const i18n = require('./lib/i18n');
+const signedToken = require('./lib/signedToken');
+const statusService = require('./lib/statusService');
+const webhooks = require('./lib/webhooks');
+const crmSync = require('./lib/crmSync');
+const merchants = require('./lib/merchants');
+const checkoutSessions = require('./lib/checkoutSessions');
+const pricing = require('./lib/pricing');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// req.ip must be the real client for per-IP attempt limits; Render sits one proxy hop in front of us
+function parseTrustProxy(v) {
+  if (v === undefined || v === '') return 1;
+  if (v === 'true' || v === 'false') return v === 'true';
+  return /^\d+$/.test(v) ? Number(v) : v;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+// Browsers only get CORS headers for origins a merchant registered (lib/merchants.js); server-to-server calls are unaffected
+app.use(cors({ origin: (origin, cb) => cb(null, !!origin && merchants.isAllowedOrigin(origin)) }));
+// Keep the exact bytes next to the parsed body: webhook signatures are computed over the raw body
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 /* ---------------- Static files & hosted form (NO API KEY) ---------------- */
 const PUBLIC_DIR = path.join(__dirname, 'public');
-app.use('/public', express.static(PUBLIC_DIR));
-app.get('/twistpay-form', (_req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, 'twistpay-form.html'));
+// The form file itself must go through /twistpay-form (CSP + embed token), never the static handler
+app.get('/public/twistpay-form.html', (req, res) => {
+  const q = req.originalUrl.indexOf('?');
+  res.redirect(301, '/twistpay-form' + (q >= 0 ? req.originalUrl.slice(q) : ''));
 });
-// Health check
-app.get('/healthz', (_req, res) => res.json({ ok: true }));
-
-/* ---------------- GET protection (allowlist public/form/healthz) ---------------- */
-const OPEN_GET_PREFIXES = ['/public', '/twistpay-form', '/healthz'];
-app.use((req, res, next) => {
-  if (req.method === 'GET' && !OPEN_GET_PREFIXES.some(p => req.path.startsWith(p))) {
-    const apiKey = req.headers['x-api-key'];
-    const authorizedKey = process.env.GET_API_KEY;
-    if (!apiKey || apiKey !== authorizedKey) {
-      return res.status(401).json({ success: false, message: 'Unauthorized' });
-    }
-  }
-  next();
-});
-
-/* ---------------- In-memory status + paths ---------------- */
-const statuses = {}; // { transaction_id: 'pending'|'approved'|... }
-
+app.use('/public', express.static(PUBLIC_DIR));
 /**
- * Robust log handling:
- * - Primary path from env LOG_FILE_PATH or defaults to /mnt/data/webhook_logs.txt (persistent on Render)
- * - Fallback path in app directory ./webhook_logs.txt
- * - Touch primary on boot; write to both when possible.
- * - Reader merges BOTH logs and sorts newest→oldest by timestamp.
+ * Framing + script policy for the hosted form.
+ * - embed.js first asks GET /embed-token from the merchant page; the browser's Origin must be one of that
+ *   merchant's registered origins. The short-lived signed token (signedToken typ 'embed') goes into the iframe
+ *   URL as ?et= and pins the form to that origin: `frame-ancestors <origin>`.
+ * - Without ?et= the form is a direct link (order confirmation e-mails) and may not be framed at all.
+ * - The inline script runs under a per-response nonce; nothing else may execute.
  */
-const LOG_PRIMARY = process.env.LOG_FILE_PATH || path.join('/mnt/data', 'webhook_logs.txt');
-const LOG_FALLBACK = path.join(__dirname, 'webhook_logs.txt');
-const twistCodePath = path.join('/mnt/data', 'code.json');
-
-// Ensure primary log exists (touch)
-try {
-  fs.mkdirSync(path.dirname(LOG_PRIMARY), { recursive: true });
-  fs.closeSync(fs.openSync(LOG_PRIMARY, 'a'));
-} catch (e) {
-  console.error('Unable to touch primary log file:', LOG_PRIMARY, e);
+const EMBED_TOKEN_TTL_SECONDS = Number(process.env.EMBED_TOKEN_TTL_SECONDS || 300);
+const FORM_HTML_PATH = path.join(PUBLIC_DIR, 'twistpay-form.html');
+let formHtmlCache = { mtimeMs: null, html: '' };
+
+function formHtml() {
+  const { mtimeMs } = fs.statSync(FORM_HTML_PATH);
+  if (mtimeMs !== formHtmlCache.mtimeMs) formHtmlCache = { mtimeMs, html: fs.readFileSync(FORM_HTML_PATH, 'utf-8') };
+  return formHtmlCache.html;
 }
 
-/* ---- Log helpers ---- */
-function logWrite(line) {
-  try { fs.appendFileSync(LOG_PRIMARY, line); } catch (e) { console.error('write primary failed', e); }
-  try { fs.appendFileSync(LOG_FALLBACK, line); } catch (_) { /* ignore fallback write errors */ }
+function formCsp(nonce, frameAncestors) {
+  return [
+    `script-src 'nonce-${nonce}'`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    `frame-ancestors ${frameAncestors.length ? frameAncestors.join(' ') : "'none'"}`
+  ].join('; ');
 }
 
-/**
- * Read and MERGE lines from both logs (if present), sorted newest→oldest.
- * It uses the timestamp between '[' and ']' if present, else preserves relative order.
- */
-function readMergedLogText() {
-  const files = [];
-  try { if (fs.existsSync(LOG_PRIMARY)) files.push(LOG_PRIMARY); } catch {}
-  try { if (fs.existsSync(LOG_FALLBACK)) files.push(LOG_FALLBACK); } catch {}
-  if (files.length === 0) return null;
-
-  let lines = [];
-  for (const p of files) {
-    try {
-      const raw = fs.readFileSync(p, 'utf-8');
-      if (raw && raw.length) lines.push(...raw.trimEnd().split('\n').filter(Boolean));
-    } catch {}
+app.get('/embed-token', (req, res) => {
+  const origin = merchants.normalizeOrigin(req.headers.origin);
+  const requested = req.query.merchant ? String(req.query.merchant) : null;
+  const merchant = requested
+    ? merchants.getMerchant(requested)
+    : merchants.activeMerchants().find(m => m.origins.includes(origin));
+  if (!origin || !merchant || !merchant.origins.includes(origin)) {
+    return res.status(403).json({ success: false, message: 'Origin not allowed' });
   }
-  if (!lines.length) return null;
-
-  const withIndex = lines.map((line, idx) => {
-    const s = line.indexOf('[');
-    const e = line.indexOf(']');
-    const ts = (s >= 0 && e > s) ? Date.parse(line.slice(s + 1, e)) : NaN;
-    return { line, idx, ts: isNaN(ts) ? null : ts };
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    merchant_id: merchant.id,
+    checkout_session_required: checkoutSessions.isRequired(merchant),
+    embed_token: signedToken.issue('embed', { merchant_id: merchant.id, origin }, EMBED_TOKEN_TTL_SECONDS),
+    expires_at: new Date(Date.now() + EMBED_TOKEN_TTL_SECONDS * 1000).toISOString()
   });
+});
 
-  withIndex.sort((a, b) => {
-    if (a.ts !== null && b.ts !== null && a.ts !== b.ts) return b.ts - a.ts; // newer first
-    return a.idx - b.idx; // stable fallback
-  });
-
-  return withIndex.map(x => x.line).join('\n');
-}
-
-/* ---------------- Helpers ---------------- */
-function getOrGenerateTwistCode(loanId, expiration) {
-  if (!loanId || !expiration) return null;
-  const hash = crypto.createHash('sha256').update(`${loanId}|${expiration}`).digest('hex');
-  let data = {};
-  if (fs.existsSync(twistCodePath)) {
-    try { data = JSON.parse(fs.readFileSync(twistCodePath, 'utf-8')); }
-    catch { console.error('Failed to parse code.json'); }
-  }
-  if (data[hash]) return data[hash];
-  const newCode = Array.from({ length: 12 }, () => Math.floor(Math.random() * 10)).join('');
-  data[hash] = newCode;
-  fs.writeFileSync(twistCodePath, JSON.stringify(data, null, 2));
-  return newCode;
-}
-
-function middle4Of(code12) {
-  if (!code12 || String(code12).length < 12) return null;
-  return String(code12).slice(4, 8);
-}
-
-function parseMMYY(mmYY) {
-  const m = String(mmYY || '').match(/^(\d{2})\/(\d{2})$/);
-  return m ? { mm: m[1], yy: m[2] } : null;
-}
-
-function normalizeMMYYFromStored(v) {
-  if (!v) return null;
-  const s = String(v);
-  let m;
-  if ((m = s.match(/^(\d{2})\/(\d{2})$/))) return `${m[1]}/${m[2]}`;                 // MM/YY
-  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return `${m[2]}/${m[1].slice(-2)}`; // YYYY-MM-DD -> MM/YY
-  return null;
-}
-
-// Convert any supported expiration format to MMYY (digits only)
-function toMMYY(raw) {
-  const s = String(raw || '').trim();
-  let m;
-  if (/^\d{4}$/.test(s)) return s;                              // MMYY
-  if ((m = s.match(/^(\d{2})\/(\d{2})$/))) return m[1] + m[2];   // MM/YY -> MMYY
-  if ((m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/))) return m[2] + m[1].slice(-2); // YYYY-MM-DD -> MMYY
-  return null;
-}
-
-/* --------- Phone + expiration utilities for resilient matching --------- */
-function phonesFromEntry(entry) {
-  if (!entry || typeof entry !== 'object') return [];
-
-  const out = [];
-
-  if (Array.isArray(entry.phones)) {
-    for (const p of entry.phones) {
-      if (typeof p === 'string') out.push(p);
-    }
-  }
-
-  for (const [k, v] of Object.entries(entry)) {
-    if (!/phone/i.test(k)) continue;
-
-    if (typeof v === 'string') {
-      out.push(v);
-    } else if (Array.isArray(v)) {
-      for (const item of v) {
-        if (typeof item === 'string') out.push(item);
+app.get('/twistpay-form', (req, res) => {
+  try {
+    let frameAncestors = [];
+    if (req.query.et) {
+      const v = signedToken.verify(req.query.et, 'embed');
+      const claimed = req.query.merchant ? String(req.query.merchant) : null;
+      if (!v.ok || (claimed && claimed !== v.claims.merchant_id) || !merchants.isAllowedOrigin(v.claims.origin, v.claims.merchant_id)) {
+        // Still frameable by merchant sites so the shopper sees why the form didn't load
+        res.set('Content-Security-Policy', `frame-ancestors ${merchants.allowedOrigins().join(' ') || "'none'"}`);
+        const message = v.reason === 'expired'
+          ? 'This payment form has expired. Please reload the page.'
+          : 'This payment form link is not valid.';
+        return res.status(403).type('text/plain').send(message);
       }
+      frameAncestors = [v.claims.origin];
     }
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set('Content-Security-Policy', formCsp(nonce, frameAncestors));
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(formHtml().replace(/<script(?=[\s>])/g, `<script nonce="${nonce}"`));
+  } catch (e) {
+    console.error('twistpay-form error:', e);
+    res.status(500).type('text/plain').send('Server error');
   }
+});
 
-  return [...new Set(out)];
-}
-
-function emailsFromEntry(entry) {
-  if (!entry || typeof entry !== 'object') return [];
+// Customer-facing routes answer in the caller's language (?lang=, body.lang or Accept-Language; see lib/i18n.js)
+app.use(['/otp', '/pre-validate', '/validate-transaction', '/checkout-sessions', '/quotes'], i18n.localizeResponses);
 
-  const out = [];
+// Health check
+app.get('/healthz', (_req, res) => res.json({ ok: true }));
 
-  if (Array.isArray(entry.emails)) {
-    for (const e of entry.emails) {
-      if (typeof e === 'string') out.push(e.trim().toLowerCase());
+/* ---------------- API keys (scoped; see lib/apiKeys.js) ---------------- */
+/**
+ * requireScope(scope): every protected route declares the scope it needs.
+ * 401 for a missing/unknown/expired key, 403 for a valid key without the scope.
+ * The resolved key ({ id, scopes }) is available as req.apiKey.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const auth = apiKeys.authenticate(req.headers['x-api-key']);
+    if (!auth.ok) {
+      if (auth.id) apiKeys.recordUsage(auth.id, { scope, method: req.method, path: req.path, ip: req.ip, allowed: false });
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
-  }
-
-  for (const [k, v] of Object.entries(entry)) {
-    if (!/email/i.test(k)) continue;
-
-    if (typeof v === 'string') {
-      out.push(v.trim().toLowerCase());
-    } else if (Array.isArray(v)) {
-      for (const item of v) {
-        if (typeof item === 'string') out.push(item.trim().toLowerCase());
-      }
+    const allowed = apiKeys.hasScope(auth.key, scope);
+    apiKeys.recordUsage(auth.key.id, { scope, method: req.method, path: req.path, ip: req.ip, allowed });
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
     }
-  }
-
-  return [...new Set(out.filter(Boolean))];
+    req.apiKey = auth.key;
+    next();
+  };
 }
 
-function normalizePayloadRecord(entry) {
-  if (!entry || typeof entry !== 'object') return null;
-
-  const phones = phonesFromEntry(entry);
-  const emails = emailsFromEntry(entry);
-
-  return {
-    ...entry,
-
-    // legacy-compatible aliases
-    phone: entry.phone || entry.customer_phone || phones[0] || '',
-    customer_phone: entry.customer_phone || entry.phone || phones[0] || '',
-
-    email: entry.email || entry.customer_email || emails[0] || '',
-    customer_email: entry.customer_email || entry.email || emails[0] || '',
-
-    postal_code: entry.postal_code || entry.postal || '',
-    postal: entry.postal || entry.postal_code || '',
-
-    state: entry.state || entry.province || '',
-    province: entry.province || entry.state || '',
+/**
+ * Merchant a request acts for (lib/merchants.js): the merchant owning the caller's API key, else the merchant_id
+ * the caller claims (hosted form: ?merchant= from embed.js). { ok: false } for an unknown or disabled merchant_id;
+ * merchant_id is null when nothing identifies one.
+ */
+function requestMerchant(req, claimedId) {
+  const byKey = req.apiKey ? merchants.findByApiKeyId(req.apiKey.id) : null;
+  if (byKey) return { ok: true, merchant_id: byKey.id, byKey: true };
+  if (claimedId) return merchants.getMerchant(claimedId) ? { ok: true, merchant_id: String(claimedId) } : { ok: false };
+  return { ok: true, merchant_id: null };
+}
 
-    phones,
-    emails
-  };
+/**
+ * Full 12-digit TWIST codes are only returned when the caller's key has the code:full scope
+ * AND explicitly asks with ?reveal=full. Everyone else gets the code masked to its middle 4.
+ */
+function canRevealFullCode(req) {
+  return req.query.reveal === 'full' && apiKeys.hasScope(req.apiKey, 'code:full');
 }
 
-const last10 = (v) => String(v || '').replace(/\D/g, '').slice(-10);
-
-function expCandidates(v) {
-  const s = String(v || '').trim();
-  const out = new Set();
-  if (s) out.add(s);
-  let m = s.match(/^(\d{2})\/(\d{2})$/);
-  if (m) { out.add(`${m[1]}${m[2]}`); out.add(`${m[1]}/${m[2]}`); }
-  if (/^\d{4}$/.test(s)) { out.add(s); out.add(`${s.slice(0,2)}/${s.slice(2)}`); }
-  m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (m) {
-    out.add(`${m[2]}${m[1].slice(-2)}`);
-    out.add(`${m[2]}/${m[1].slice(-2)}`);
-    out.add(s);
-  }
-  return Array.from(out);
+function presentCode(req, code12) {
+  if (!code12) return null;
+  return canRevealFullCode(req) ? code12 : twistCodes.maskCode(code12);
 }
 
-function findTwistByLoanAndExpVariants(loanId, expiration, codeMap) {
-  if (!loanId || !expiration || !codeMap) return null;
-  for (const exp of expCandidates(expiration)) {
-    const hash = crypto.createHash('sha256').update(`${loanId}|${exp}`).digest('hex');
-    if (codeMap[hash]) return { twistcode: codeMap[hash], usedExpiration: exp };
-  }
-  return null;
+/* ---------------- Durable transaction statuses + paths ---------------- */
+try {
+  const n = transactionStore.load();
+  console.log(`Transaction store loaded (${n} transactions)`);
+} catch (e) {
+  console.error('Unable to load transaction store:', e);
 }
 
-function readCodeMap() {
-  if (!fs.existsSync(twistCodePath)) return null;
-  try {
-    return JSON.parse(fs.readFileSync(twistCodePath, 'utf-8'));
-  } catch (e) {
-    console.error('Failed to read code.json:', e);
-    return null;
-  }
+/* ---------------- Log store (audit trail + in-memory indexes) ---------------- */
+try {
+  const stats = logStore.init();
+  console.log(`Log store indexed (${stats.lines} lines, ${stats.loans} loans, ${stats.phones} phones)`);
+} catch (e) {
+  console.error('Unable to index logs:', e);
 }
 
+/* ---------------- Helpers ---------------- */
+// Variant-tolerant lookup (MMYY, MM/YY, YYYY-MM-DD). Throws if code.json is unreadable — never regenerates then.
 function resolveTwistCodeFromLoanAndExpiration(loanId, expiration, { generateIfMissing = false } = {}) {
   if (!loanId || !expiration) return { twistcode: null, usedExpiration: null };
 
-  const data = readCodeMap();
-  if (data) {
-    const hit = findTwistByLoanAndExpVariants(loanId, expiration, data);
-    if (hit) return hit;
-  }
+  const hit = twistCodes.lookupTwistCode(loanId, expiration);
+  if (hit) return hit;
 
   if (generateIfMissing) {
-    const twistcode = getOrGenerateTwistCode(loanId, expiration);
+    const twistcode = twistCodes.getOrGenerateTwistCode(loanId, expiration);
     return { twistcode, usedExpiration: expiration };
   }
 
   return { twistcode: null, usedExpiration: null };
 }
 
-function getTimestampFromLogLine(line) {
-  if (!line) return null;
-  const tsStart = line.indexOf('[');
-  const tsEnd = line.indexOf(']');
-  return tsStart >= 0 && tsEnd > tsStart ? line.slice(tsStart + 1, tsEnd) : null;
-}
-
 function getIndexRecordUpdatedAt(rec) {
   const raw = rec && rec.updatedAt ? Date.parse(rec.updatedAt) : NaN;
   return isNaN(raw) ? 0 : raw;
@@ -297,7 +225,7 @@ function getIndexRecordsByPhoneLast10(l10) {
       .map(k => idx.byKey[k])
       .filter(Boolean)
       .sort((a, b) => getIndexRecordUpdatedAt(b) - getIndexRecordUpdatedAt(a))
-      .map(normalizePayloadRecord)
+      .map(rec => normalizePayloadRecord(payloadIndex.accountOf(rec)))
       .filter(Boolean);
   } catch (e) {
     console.error('getIndexRecordsByPhoneLast10 error:', e);
@@ -305,51 +233,6 @@ function getIndexRecordsByPhoneLast10(l10) {
   }
 }
 
-function getIndexLatestByLoanLast6(last6) {
-  try {
-    const idx = payloadIndex.loadPayloadIndex();
-    const recs = Object.values(idx.byKey || {})
-      .filter(Boolean)
-      .filter(rec => String(rec.loan_id || '').endsWith(last6))
-      .sort((a, b) => getIndexRecordUpdatedAt(b) - getIndexRecordUpdatedAt(a));
-
-    return recs[0] ? normalizePayloadRecord(recs[0]) : null;
-  } catch (e) {
-    console.error('getIndexLatestByLoanLast6 error:', e);
-    return null;
-  }
-}
-
-/**
- * Scan newest→oldest across MERGED logs.
- * Accept ANY line that contains a JSON object (old logs might not have "/store-status:" marker).
- * Falls back to payloadIndex if not found in logs.
- */
-async function readLatestPayloadByLoanIdEndsWith(last6) {
-  try {
-    const raw = readMergedLogText();
-    if (raw) {
-      const lines = raw.split('\n').filter(Boolean);
-      for (const line of lines) {
-        const jsonMatch = line.match(/{.*}/);
-        if (!jsonMatch) continue;
-        try {
-          const obj = JSON.parse(jsonMatch[0]);
-          const loanId = String(obj.loan_id || '');
-          if (loanId.endsWith(last6)) return normalizePayloadRecord(obj);
-        } catch {}
-      }
-    }
-  } catch (e) {
-    console.error('readLatestPayloadByLoanIdEndsWith log scan error:', e);
-  }
-
-  const idxHit = getIndexLatestByLoanLast6(last6);
-  if (idxHit) return normalizePayloadRecord(idxHit);
-
-  return null;
-}
-
 // Normalize Canadian numbers to E.164 (+1##########)
 function normE164CA(v) {
   const digits = String(v || '').replace(/\D/g, '');
@@ -357,111 +240,279 @@ function normE164CA(v) {
   return l10.length === 10 ? `+1${l10}` : null;
 }
 
-/* ---------------- OTP verify proxy + short-lived cache ---------------- */
-const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
-const otpCache = new Map(); // key: `${phone}|${code}` -> timestamp
-
-function setOtpVerified(phone, code) {
-  otpCache.set(`${phone}|${code}`, Date.now());
-}
-function wasOtpVerifiedRecently(phone, code) {
-  const ts = otpCache.get(`${phone}|${code}`);
-  return !!ts && (Date.now() - ts) < OTP_TTL_MS;
-}
+/* ---------------- OTP challenges (see lib/otpChallenges.js; provider from OTP_PROVIDER) ---------------- */
+const OTP_CHALLENGE_MESSAGES = {
+  unknown: 'Verification expired. Please press NEXT STEP again.',
+  used: 'This verification was already used for another payment. Please press NEXT STEP again.',
+  locked: 'Too many attempts. Please press NEXT STEP again.',
+  not_sent: 'Please send a code first.',
+  invalid: 'Invalid OTP.',
+  max_sends: 'Too many codes sent. Please press NEXT STEP again.'
+};
+const OTP_CHALLENGE_CODES = {
+  unknown: 'OTP_EXPIRED',
+  used: 'OTP_USED',
+  locked: 'OTP_LOCKED',
+  not_sent: 'OTP_NOT_SENT',
+  invalid: 'OTP_INVALID',
+  max_sends: 'OTP_MAX_SENDS'
+};
+
+// UI "Send OTP": the server sends to the phone on file for the challenge; the browser never sees the number
+app.post('/otp/send', async (req, res) => {
+  try {
+    const { challenge_id } = req.body || {};
+    if (!challenge_id) {
+      return res.status(400).json({ success: false, code: 'MISSING_FIELD', field: 'challenge_id', message: 'Missing challenge_id' });
+    }
+    const r = await otpChallenges.send(challenge_id, getOtpProvider());
+    if (!r.ok && r.reason === 'cooldown') {
+      res.set('Retry-After', String(r.retryAfterSec));
+      return res.status(429).json({
+        success: false,
+        code: 'OTP_COOLDOWN',
+        field: null,
+        message: `Please wait ${r.retryAfterSec}s before requesting another code.`,
+        retry_after: r.retryAfterSec
+      });
+    }
+    if (!r.ok) {
+      const status = r.reason === 'provider' ? 502 : 400;
+      return res.status(status).json({
+        success: false,
+        code: OTP_CHALLENGE_CODES[r.reason] || 'OTP_SEND_FAILED',
+        field: null,
+        message: OTP_CHALLENGE_MESSAGES[r.reason] || r.message || 'Unable to send code'
+      });
+    }
+    return res.json({ success: true, ...otpChallenges.publicView(otpChallenges.get(challenge_id)) });
+  } catch (e) {
+    console.error('otp/send error', e);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-// UI should call this instead of hitting the OTP server directly for "Verify OTP"
+// UI "Verify OTP"
 app.post('/otp/verify-proxy', async (req, res) => {
   try {
-    const { phone, code } = req.body || {};
-    const normPhone = normE164CA(phone);
+    const { challenge_id, code } = req.body || {};
     const codeStr = String(code || '');
-    if (!normPhone || !/^\d{6}$/.test(codeStr)) {
-      return res.status(400).json({ success: false, message: 'Invalid phone or code' });
+    if (!challenge_id || !/^\d{6}$/.test(codeStr)) {
+      return res.status(400).json({ success: false, code: 'OTP_FORMAT', field: 'otpCode', message: 'Invalid challenge or code' });
     }
-    const r = await fetch('https://twilio-otp-server.onrender.com/verify-otp', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ phone: normPhone, code: codeStr })
-    });
-    const j = await r.json().catch(() => null);
-    if (j && j.success) setOtpVerified(normPhone, codeStr);
-    return res.json(j || { success: false, message: 'OTP server error' });
+    const challenge = otpChallenges.get(challenge_id);
+    const guard = attemptGuard(req, challenge ? challenge.cardLast6 : '');
+    if (guard.locked) return sendLockedOut(res, guard.locked, { success: false });
+    const r = await otpChallenges.verify(challenge_id, codeStr, getOtpProvider());
+    if (!r.ok) {
+      if (challenge && r.reason !== 'not_sent') guard.fail(''); // counts toward the card's limit
+      const view = challenge ? otpChallenges.publicView(challenge) : {};
+      return res.json({
+        success: false,
+        code: OTP_CHALLENGE_CODES[r.reason],
+        field: 'otpCode',
+        message: OTP_CHALLENGE_MESSAGES[r.reason],
+        attempts_remaining: view.attempts_remaining
+      });
+    }
+    return res.json({ success: true });
   } catch (e) {
     console.error('verify-proxy error', e);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/* ---------------- Attempt limits for card verification (see lib/attemptLimiter.js) ---------------- */
+const GENERIC_DENIAL = 'The details entered could not be verified.';
+const GENERIC_DENIAL_CODE = 'DETAILS_NOT_VERIFIED';
+
+/**
+ * Per-request guard over the `ip:` and `card:` buckets.
+ * locked: { retryAfterSec } when the caller must wait; fail(message) records a wrong guess and returns the
+ * message to show (generic once the buckets have seen ATTEMPT_GENERIC_ERRORS_AFTER failures).
+ * deny(failure) does the same for a lib/rules.js failure and returns the { code, field, message } to send —
+ * generic denials carry no field, so they don't point at the value that was wrong.
+ */
+function attemptGuard(req, cleanCard) {
+  const keys = [`ip:${req.ip}`];
+  if (cleanCard.length >= 6) keys.push(`card:${cleanCard.slice(-6)}`);
+  const limit = attemptLimiter.check(keys);
+  return {
+    locked: limit.allowed ? null : limit,
+    fail(message) {
+      const generic = attemptLimiter.useGenericErrors(keys);
+      attemptLimiter.recordFailure(keys);
+      return generic ? GENERIC_DENIAL : message;
+    },
+    deny({ code, field, message, guess }) {
+      if (guess && this.fail(message) === GENERIC_DENIAL) return { code: GENERIC_DENIAL_CODE, field: null, message: GENERIC_DENIAL };
+      return { code, field, message };
+    },
+    succeed() {
+      attemptLimiter.recordSuccess(keys);
+    }
+  };
+}
+
+function sendLockedOut(res, locked, body) {
+  res.set('Retry-After', String(locked.retryAfterSec));
+  return res.status(429).json({
+    ...body,
+    code: 'TOO_MANY_ATTEMPTS',
+    field: null,
+    message: 'Too many attempts. Please try again later.',
+    retry_after: locked.retryAfterSec
+  });
+}
+
 /* ---------------- ✨ New: derive phone AFTER field checks (clear messages) ---------------- */
 app.post('/otp/derive-phone', async (req, res) => {
   try {
     const { cardNumber, expiration, twist, postal, email } = req.body || {};
 
     const cleanCard = String(cardNumber || '').replace(/\D/g, '');
-    if (cleanCard.length !== 14 || !cleanCard.startsWith('71461567')) {
-      return res.status(400).json({ success: false, message: 'Incorrect Card Number' });
-    }
-
-    const inExpMMYY = toMMYY(expiration);
-    if (!inExpMMYY) {
-      return res.status(400).json({ success: false, message: 'Expiration must be MMYY.' });
-    }
+    const guard = attemptGuard(req, cleanCard);
+    if (guard.locked) return sendLockedOut(res, guard.locked, { success: false });
 
-    const inTwist = String(twist || '').replace(/\D/g, '');
-    if (!/^\d{4}$/.test(inTwist)) {
-      return res.status(400).json({ success: false, message: 'TWIST code must be 4 digits.' });
+    const checked = await rules.runProfile('derive-phone', { cardNumber: cleanCard, expiration, twist, postal, email });
+    if (!checked.ok) {
+      return res.status(400).json({ success: false, ...guard.deny(checked.failure) });
     }
 
-    const inPostal = String(postal || '').trim().toUpperCase().replace(/\s/g, '');
-    const inEmail  = String(email  || '').trim().toLowerCase();
-
+    const loanId = checked.loanId;
     const last6 = cleanCard.slice(-6);
-    const latest = await readLatestPayloadByLoanIdEndsWith(last6);
-    if (!latest) {
-      return res.status(400).json({ success: false, message: 'Incorrect Card Number' });
+    let phone = null;
+    for (const p of phonesFromEntry(checked.account)) {
+      const norm = normE164CA(p);
+      if (norm) { phone = norm; break; }
     }
-
-    const loanId = String(latest.loan_id || '');
-    const acEmails = emailsFromEntry(latest);
-    const acEmail = acEmails[0] || '';
-    const acPostal = String(latest.postal_code || latest.postal || '').trim().toUpperCase().replace(/\s/g, '');
-    const acExpiryRaw = String(latest.contract_expiration || '');
-    const acExpMMYY = toMMYY(acExpiryRaw);
-
-    if (acExpMMYY && inExpMMYY !== acExpMMYY) {
-      return res.status(400).json({ success: false, message: 'Expiration does not match contract.' });
+    guard.succeed();
+    if (!phone) {
+      return res.status(404).json({ success: false, code: 'PHONE_NOT_ON_FILE', field: null, message: 'No phone on file.' });
     }
 
-    const hit = resolveTwistCodeFromLoanAndExpiration(loanId, acExpiryRaw, { generateIfMissing: !!(loanId && acExpiryRaw) });
-    const fullCode = hit.twistcode;
+    const challenge = otpChallenges.create({ phone, loanId, cardLast6: last6 });
+    return res.json({ success: true, ...otpChallenges.publicView(challenge) });
+  } catch (e) {
+    console.error('/otp/derive-phone error:', e);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const mid4 = middle4Of(fullCode);
-    if (!mid4 || mid4 !== inTwist) {
-      return res.status(400).json({ success: false, message: 'TWIST code incorrect.' });
-    }
+/* ---------------- Checkout sessions (merchant server → hosted form; see lib/checkoutSessions.js) ---------------- */
+/**
+ * POST /checkout-sessions (checkout:write) { amount, currency, orderno, email?, success_url?, cancel_url? }
+ *   → { session_id, expires_at }. The merchant is the one owning the API key (or body.merchant_id for non-merchant keys).
+ * GET /checkout-sessions/:id (no key) — what the form shows and pays. /pre-validate and /validate-transaction only
+ * accept that session's amount and order number. Merchants with an API key must use sessions (CHECKOUT_SESSION_REQUIRED=true:
+ * every merchant); GET /embed-token tells embed.js which applies.
+ */
+const CHECKOUT_SESSION_MESSAGES = {
+  unknown: 'Checkout session not found.',
+  expired: 'Checkout session expired. Please return to the store and try again.',
+  completed: 'This order has already been paid.'
+};
+
+function sessionDenial(reason) {
+  return { ok: false, code: 'CHECKOUT_SESSION_INVALID', field: null, reason, message: CHECKOUT_SESSION_MESSAGES[reason] };
+}
 
-    if (acPostal && inPostal !== acPostal) {
-      return res.status(400).json({ success: false, message: 'Postal code does not match account.' });
+app.post('/checkout-sessions', requireScope('checkout:write'), idempotent('checkout-sessions', () => null), (req, res) => {
+  try {
+    const merchant = requestMerchant(req, (req.body || {}).merchant_id);
+    if (!merchant.ok || !merchant.merchant_id) {
+      return res.status(400).json({ success: false, message: merchant.ok ? 'Missing merchant_id' : 'Unknown merchant' });
     }
+    const input = checkoutSessions.validateInput(req.body);
+    if (!input.ok) return res.status(400).json({ success: false, field: input.field, message: input.message });
 
-    if (acEmail && inEmail && inEmail !== acEmail) {
-      return res.status(400).json({ success: false, message: 'Email does not match account.' });
-    }
+    const session = checkoutSessions.create(merchant.merchant_id, input.fields);
+    res.status(201).json({ success: true, session_id: session.id, expires_at: session.expires_at, session: checkoutSessions.publicView(session) });
+  } catch (e) {
+    console.error('checkout-sessions error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const phones = phonesFromEntry(latest);
-    let phone = null;
-    for (const p of phones) {
-      const norm = normE164CA(p);
-      if (norm) { phone = norm; break; }
-    }
-    if (!phone) {
-      return res.status(404).json({ success: false, message: 'No phone on file.' });
+app.get('/checkout-sessions/:id', (req, res) => {
+  try {
+    const session = checkoutSessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ success: false, code: 'CHECKOUT_SESSION_INVALID', field: null, message: CHECKOUT_SESSION_MESSAGES.unknown });
     }
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, session: checkoutSessions.publicView(session) });
+  } catch (e) {
+    console.error('checkout-sessions get error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    return res.json({ success: true, phone, loan_id: loanId });
+/* ---------------- Checkout token (pre-validate → validate-transaction, see lib/signedToken.js) ---------------- */
+/**
+ * A successful /pre-validate (card rules + OTP) hands out a token bound to the transaction, loan, amount and order.
+ * /validate-transaction only runs with that token and only for exactly those values, so the OTP can't be skipped
+ * and the amount can't be changed after it was approved.
+ */
+const CHECKOUT_TOKEN_TTL_SECONDS = Number(process.env.CHECKOUT_TOKEN_TTL_SECONDS || 600);
+const amountCents = (v) => {
+  const n = creditLedger.parseAmount(v);
+  return Number.isFinite(n) ? Math.round(n * 100) : NaN;
+};
+
+function issueCheckoutToken({ transaction_id, loan_id, product_code, amount, orderno, merchant_id, checkout_session_id }) {
+  const token = signedToken.issue('checkout', {
+    transaction_id: String(transaction_id),
+    loan_id: String(loan_id),
+    product_code: product_code || null,
+    merchant_id: merchant_id || null,
+    checkout_session_id: checkout_session_id || null,
+    amount_cents: amountCents(amount),
+    orderno: String(orderno)
+  }, CHECKOUT_TOKEN_TTL_SECONDS);
+  return {
+    checkout_token: token,
+    checkout_expires_at: new Date(Date.now() + CHECKOUT_TOKEN_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+// { ok: true, claims } or { ok: false, code, message }
+function checkCheckoutToken(token, { transaction_id, amount, orderno }) {
+  const v = signedToken.verify(token, 'checkout');
+  if (!v.ok) {
+    if (v.reason === 'missing') return { ok: false, code: 'CHECKOUT_TOKEN_MISSING', message: 'Checkout token required. Please verify your details first.' };
+    if (v.reason === 'expired') return { ok: false, code: 'CHECKOUT_TOKEN_EXPIRED', message: 'Checkout session expired. Please verify your details again.' };
+    return { ok: false, code: 'CHECKOUT_TOKEN_INVALID', message: 'Invalid checkout token.' };
+  }
+  const c = v.claims;
+  const amt = amountCents(amount);
+  if (c.transaction_id !== String(transaction_id || '') || c.orderno !== String(orderno || '') || !Number.isFinite(amt) || c.amount_cents !== amt) {
+    return { ok: false, code: 'CHECKOUT_MISMATCH', message: 'Transaction details changed after verification.' };
+  }
+  return { ok: true, claims: c };
+}
+
+/* ---------------- Installment quotes (hosted form, NO API KEY; see lib/pricing.js) ---------------- */
+/**
+ * POST /quotes { transaction_id, amount, orderno, checkout_token } → the installment options for that verified
+ * transaction, each with its disclosure text (in the caller's language) and a plan_token. The product comes from the
+ * checkout token, not the caller; the plan_token is bound to the transaction and loan, and /validate-transaction
+ * checks it against them, the amount and the card's own product_code.
+ */
+app.post('/quotes', (req, res) => {
+  try {
+    const { transaction_id, amount, orderno, checkout_token } = req.body || {};
+    const checkout = checkCheckoutToken(checkout_token, { transaction_id, amount, orderno });
+    if (!checkout.ok) return res.status(403).json({ ok: false, code: checkout.code, field: null, message: checkout.message });
+
+    const { loan_id, product_code } = checkout.claims;
+    const q = pricing.quote(amount, { transaction_id, loan_id, product_code }, req.lang);
+    if (!q.ok) return res.status(400).json(q);
+    res.set('Cache-Control', 'no-store');
+    res.json(q);
   } catch (e) {
-    console.error('/otp/derive-phone error:', e);
-    return res.status(500).json({ success: false, message: 'Server error' });
+    console.error('quotes error:', e);
+    res.status(500).json({ ok: false, message: 'Server error' });
   }
 });
 
@@ -476,109 +527,148 @@ app.post('/pre-validate', async (req, res) => {
       expiration,
       twist,
       email,
-      phone,
       postal,
       address, city,
       province,
-      otpCode
+      challenge_id,
+      otpCode,
+      merchant_id,
+      checkout_session_id
     } = req.body || {};
 
-    if (!transaction_id || !orderno || !amount || !cardNumber || !expiration || !twist || !email || !phone || !postal || !otpCode) {
-      return res.status(400).json({ ok: false, message: 'Missing required fields.' });
+    const missing = ['amount', 'cardNumber', 'expiration', 'twist', 'email', 'postal', 'otpCode', 'transaction_id', 'orderno', 'challenge_id']
+      .find(k => !(req.body || {})[k]);
+    if (missing) {
+      return res.status(400).json({ ok: false, code: 'MISSING_FIELD', field: missing, message: 'Missing required fields.' });
     }
 
-    const cleanCard = String(cardNumber).replace(/\D/g, '');
-    if (cleanCard.length !== 14) return res.json({ ok: false, message: 'Incorrect Card Number' });
-    if (!cleanCard.startsWith('71461567')) return res.json({ ok: false, message: 'Incorrect Card Number' });
-
-    const last6 = cleanCard.slice(-6);
-    const latest = await readLatestPayloadByLoanIdEndsWith(last6);
-    if (!latest) return res.json({ ok: false, message: 'Incorrect Card Number' });
-
-    const loanId = String(latest.loan_id || '');
-    const acEmails = emailsFromEntry(latest);
-    const acEmail = acEmails[0] || '';
-
-    const allPhones = phonesFromEntry(latest);
-    const acPhone = String(allPhones[0] || '').replace(/[^\d]/g, '');
-
-    const acPostal = String(latest.postal_code || latest.postal || '').trim().toUpperCase();
-    const acProvince = String(latest.province || latest.state || '').trim().toUpperCase();
-    const acAvail = Number(latest.available_credit || 0);
-    const acExpiryRaw = String(latest.contract_expiration || '');
-
-    if (acEmail && String(email).trim().toLowerCase() !== acEmail) {
-      return res.json({ ok: false, message: 'Email does not match account.' });
+    // A transaction id can only be checked out once; re-verifying it would reset it to pending
+    const existing = transactionStore.getStatus(transaction_id);
+    if (existing && existing !== 'pending') {
+      return res.status(409).json({ ok: false, code: 'TRANSACTION_EXISTS', field: null, message: 'This transaction has already been processed.' });
     }
 
-    const inPhoneDigits = String(phone).replace(/[^\d]/g, '');
-    if (acPhone && inPhoneDigits.slice(-10) !== acPhone.slice(-10)) {
-      return res.json({ ok: false, message: 'Phone does not match account.' });
-    }
-
-    const inPostal = String(postal).trim().toUpperCase().replace(/\s/g, '');
-    const refPostal = acPostal.replace(/\s/g, '');
-    if (acPostal && inPostal !== refPostal) {
-      return res.json({ ok: false, message: 'Postal code does not match account.' });
-    }
-
-    const inProvince = String(province || '').trim().toUpperCase();
-    if (acProvince && inProvince && inProvince !== acProvince) {
-      return res.json({ ok: false, message: 'Province does not match account.' });
-    }
-
-    const amt = Number(String(amount).replace(/[^\d.]/g, ''));
-    if (Number.isFinite(acAvail) && Number.isFinite(amt) && amt > acAvail) {
-      return res.json({ ok: false, message: 'Amount exceeds available credit.' });
+    // With a checkout session, its amount / order number / merchant are the only ones we accept
+    let session = null;
+    if (checkout_session_id) {
+      const payable = checkoutSessions.getPayable(checkout_session_id);
+      if (!payable.ok) return res.status(409).json(sessionDenial(payable.reason));
+      session = payable.session;
+      if (amountCents(amount) !== amountCents(session.amount) || String(orderno) !== session.orderno) {
+        return res.status(403).json({ ok: false, code: 'CHECKOUT_MISMATCH', field: null, message: 'Transaction details changed after verification.' });
+      }
     }
 
-    const inExpMMYY = toMMYY(expiration);
-    if (!inExpMMYY) return res.json({ ok: false, message: 'Expiration format invalid (MMYY).' });
-    const storedMMYY = toMMYY(acExpiryRaw);
-    if (!storedMMYY || storedMMYY !== inExpMMYY) {
-      return res.json({ ok: false, message: 'Expiration does not match contract.' });
+    const merchant = session ? { ok: true, merchant_id: session.merchant_id } : requestMerchant(req, merchant_id);
+    if (!merchant.ok) {
+      return res.status(400).json({ ok: false, code: 'MERCHANT_UNKNOWN', field: null, message: 'Unknown merchant.' });
     }
-
-    const codeHit = resolveTwistCodeFromLoanAndExpiration(loanId, acExpiryRaw);
-    const mid4 = middle4Of(codeHit.twistcode);
-    if (!mid4 || String(twist) !== mid4) {
-      return res.json({ ok: false, message: 'TWIST code incorrect.' });
+    const merchantId = merchant.merchant_id || merchants.defaultMerchantId();
+    if (!session && checkoutSessions.isRequired(merchants.getMerchant(merchantId))) {
+      return res.status(400).json({ ok: false, code: 'CHECKOUT_SESSION_REQUIRED', field: null, message: 'Checkout session required.' });
     }
 
-    const normPhone = normE164CA(phone);
-    if (!normPhone) return res.json({ ok: false, message: 'Phone format invalid.' });
-
-    const codeStr = String(otpCode || '');
-    let otpOk = false;
-
-    if (wasOtpVerifiedRecently(normPhone, codeStr)) {
-      otpOk = true;
-    } else {
-      const otpResp = await fetch('https://twilio-otp-server.onrender.com/verify-otp', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ phone: normPhone, code: codeStr })
-      });
-      const otpData = await otpResp.json().catch(() => null);
-      otpOk = !!(otpData && otpData.success);
-      if (otpOk) setOtpVerified(normPhone, codeStr);
-    }
+    const cleanCard = String(cardNumber).replace(/\D/g, '');
+    const guard = attemptGuard(req, cleanCard);
+    if (guard.locked) return sendLockedOut(res, guard.locked, { ok: false });
+
+    // The OTP must belong to a challenge issued for THIS card/loan (phone on file, see /otp/derive-phone)
+    const verifyOtp = async ({ loanId, cardLast6 }) => {
+      const challenge = otpChallenges.get(challenge_id);
+      if (!challenge || challenge.cardLast6 !== cardLast6 || challenge.loanId !== loanId) {
+        return { ok: false, code: OTP_CHALLENGE_CODES.unknown, message: OTP_CHALLENGE_MESSAGES.unknown, guess: false };
+      }
+      // Binds the challenge to this transaction: the same code can't verify another payment
+      const otp = await otpChallenges.verify(challenge.id, String(otpCode), getOtpProvider(), { transactionId: transaction_id });
+      if (otp.ok) return { ok: true };
+      return {
+        ok: false,
+        code: OTP_CHALLENGE_CODES[otp.reason],
+        guess: otp.reason !== 'used',
+        message: otp.reason === 'invalid' ? 'OTP invalid or expired.' : OTP_CHALLENGE_MESSAGES[otp.reason]
+      };
+    };
 
-    if (!otpOk) {
-      return res.json({ ok: false, message: 'OTP invalid or expired.' });
+    const checked = await rules.runProfile('pre-validate', {
+      cardNumber: cleanCard, expiration, twist, email, postal, province, amount
+    }, { verifyOtp });
+    if (!checked.ok) {
+      return res.json({ ok: false, ...guard.deny(checked.failure) });
     }
+    const loanId = checked.loanId;
 
-    statuses[transaction_id] = 'pending';
+    guard.succeed();
+    transactionStore.recordTransactionStatus(transaction_id, 'pending', {
+      source: '/pre-validate', orderno, amount, loan_id: loanId, merchant_id: merchantId || undefined
+    });
 
-    return res.json({ ok: true, message: 'Validated', loan_id: loanId });
+    const productCode = checked.account.product_code || null;
+    const checkoutToken = issueCheckoutToken({
+      transaction_id, loan_id: loanId, product_code: productCode, amount, orderno, merchant_id: merchantId,
+      checkout_session_id: session ? session.id : null
+    });
+    // installments tells the form whether to show the plan step (POST /quotes with the checkout token)
+    const installments = pricing.optionsFor(creditLedger.parseAmount(amount), productCode).length > 0;
+    return res.json({ ok: true, message: 'Validated', loan_id: loanId, product_code: productCode, installments, ...checkoutToken });
   } catch (e) {
     console.error('pre-validate error:', e);
     return res.status(500).json({ ok: false, message: 'Server error' });
   }
 });
 
+/* ---------------- Idempotency (Idempotency-Key header, else derived from body) ---------------- */
+/**
+ * Replays the stored response for a repeated request; 409 when the key is reused with a different body.
+ * Only final outcomes are stored (2xx without ok:false). Denials and errors — a missing plan, an expired
+ * checkout token, a mistyped card field, a 5xx — release the key, so the corrected retry of the same
+ * transaction can still run.
+ * Keys are per caller and per target: the scope also carries the caller's API key, the merchant the request acts for
+ * and the route params (/transactions/:id/*), so one key reused on another transaction, by another client or for
+ * another merchant is a new request.
+ */
+const isFinalResponse = (status, payload) => status < 400 && !(payload && (payload.ok === false || payload.success === false));
+
+function idempotencyScope(scope, req) {
+  const parts = [scope];
+  if (req.apiKey) parts.push(`key:${req.apiKey.id}`);
+  const merchant = requestMerchant(req, (req.body || {}).merchant_id);
+  if (merchant.ok && merchant.merchant_id) parts.push(`merchant:${merchant.merchant_id}`);
+  for (const [name, value] of Object.entries(req.params || {})) parts.push(`${name}:${value}`);
+  return parts.join('|');
+}
+
+function idempotent(routeScope, fallbackKey) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const key = String(req.headers['idempotency-key'] || fallbackKey(body) || '').trim();
+    if (!key) return next();
+
+    const scope = idempotencyScope(routeScope, req);
+    const r = idempotencyStore.begin(scope, key, idempotencyStore.fingerprint(body));
+    if (r.state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(r.status).json(r.body);
+    }
+    if (r.state === 'conflict') {
+      return res.status(409).json({ success: false, ok: false, message: 'Idempotency key reused with a different request body' });
+    }
+    if (r.state === 'in_flight') {
+      return res.status(409).json({ success: false, ok: false, message: 'A request with this idempotency key is already in progress' });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      if (isFinalResponse(res.statusCode, payload)) idempotencyStore.complete(scope, key, res.statusCode, payload);
+      else idempotencyStore.abort(scope, key);
+      return json(payload);
+    };
+    res.on('close', () => idempotencyStore.abort(scope, key)); // no-op once completed
+    next();
+  };
+}
+
 /* ---------------- New single-shot validation + finalize (kept) ---------------- */
-app.post('/validate-transaction', async (req, res) => {
+app.post('/validate-transaction', idempotent('validate-transaction', b => b.transaction_id), async (req, res) => {
   try {
     const payload = req.body || {};
     const {
@@ -590,28 +680,82 @@ app.post('/validate-transaction', async (req, res) => {
       twist,
       email,
       phone,
+      challenge_id,
       postal,
       address,
       city,
       name,
       product_description,
-      province
+      province,
+      checkout_token,
+      plan_token
     } = payload;
 
-    const result = await validateTransaction({ amount, cardNumber, expiration, twist, postal });
+    const checkout = checkCheckoutToken(checkout_token, { transaction_id, amount, orderno });
+    if (!checkout.ok) {
+      return res.status(403).json({ ok: false, status: 'denied', code: checkout.code, field: null, message: checkout.message });
+    }
+    const existing = transactionStore.getStatus(transaction_id);
+    if (existing && existing !== 'pending') {
+      return res.status(409).json({ ok: false, status: 'denied', code: 'TRANSACTION_EXISTS', field: null, message: 'This transaction has already been processed.' });
+    }
+    // The merchant and checkout session were settled by /pre-validate; the token carries them
+    const merchant_id = checkout.claims.merchant_id || undefined;
+    const sessionId = checkout.claims.checkout_session_id;
+    if (sessionId) {
+      const payable = checkoutSessions.getPayable(sessionId);
+      if (!payable.ok) return res.status(409).json({ ...sessionDenial(payable.reason), status: 'denied' });
+      if (amountCents(payable.session.amount) !== amountCents(amount)) {
+        return res.status(403).json({ ok: false, status: 'denied', code: 'CHECKOUT_MISMATCH', field: null, message: 'Transaction details changed after verification.' });
+      }
+    }
+
+    const result = await validateTransaction({ amount, cardNumber, expiration, twist, postal, email, phone, province });
 
     if (!result.ok) {
-      return res.json({ ok: false, status: 'denied', message: result.message || 'Denied' });
+      webhooks.emit('twistpay.denied', { transaction_id, orderno, amount, merchant_id, code: result.code });
+      return res.json({ ok: false, status: 'denied', code: result.code, field: result.field, message: result.message || 'Denied' });
+    }
+    // The card must still resolve to the loan the OTP was checked for
+    if (result.matched.loan_id !== checkout.claims.loan_id) {
+      return res.status(403).json({ ok: false, status: 'denied', code: 'CHECKOUT_MISMATCH', field: null, message: 'Transaction details changed after verification.' });
     }
 
-    const apiKey = process.env.API_KEY;
-    const base = process.env.PUBLIC_BASE_URL || `http://127.0.0.1:${process.env.PORT || 3000}`;
+    // Cards whose product has installment terms must pay with a plan quoted for this transaction, amount and product
+    let plan = null;
+    if (plan_token) {
+      const chosen = pricing.verifyPlan(plan_token, {
+        transaction_id, loan_id: result.matched.loan_id, amount, product_code: result.matched.product_code
+      });
+      if (!chosen.ok) return res.status(400).json({ ok: false, status: 'denied', code: chosen.code, field: null, message: chosen.message });
+      plan = chosen.plan;
+    } else if (pricing.optionsFor(creditLedger.parseAmount(amount), result.matched.product_code).length) {
+      return res.status(400).json({ ok: false, status: 'denied', code: 'PLAN_REQUIRED', field: null, message: 'Please choose a payment plan.' });
+    }
+
+    // Re-check and reserve credit atomically (another approval may have landed since validation)
+    const hold = creditLedger.placeHold(result.matched.loan_id, transaction_id, amount, result.matched.available_credit);
+    if (!hold.ok) {
+      webhooks.emit('twistpay.denied', { transaction_id, orderno, amount, merchant_id, code: 'CREDIT_EXCEEDED' });
+      return res.json({ ok: false, status: 'denied', code: 'CREDIT_EXCEEDED', field: 'amount', message: 'Amount exceeds available credit.' });
+    }
+
+    // Claim the session before approving so two transactions can't both pay it
+    const session = sessionId ? checkoutSessions.complete(sessionId, transaction_id) : null;
+    if (sessionId && !session) {
+      try { creditLedger.cancelHold(result.matched.loan_id, transaction_id); } catch (err) { console.error('creditLedger cancelHold error:', err); }
+      return res.status(409).json({ ...sessionDenial('completed'), status: 'denied' });
+    }
+
+    // The form no longer knows the full phone; take the one the OTP challenge for this transaction was sent to
+    const otpChallenge = challenge_id ? otpChallenges.get(challenge_id) : null;
+    const challenge = otpChallenge && otpChallenge.transactionId === String(transaction_id) ? otpChallenge : null;
 
     const storeBody = {
       transaction_id,
       status: 'approved',
       email,
-      phone,
+      phone: challenge ? challenge.phone : phone,
       orderno,
       amount,
       postal,
@@ -620,25 +764,42 @@ app.post('/validate-transaction', async (req, res) => {
       name,
       loan_id: result.matched.loan_id,
       contract_expiration: result.matched.contract_expiration,
-      available_credit: result.matched.available_credit,
+      available_credit: hold.available,
       product_description,
       state: province,
-      province
+      province,
+      merchant_id,
+      checkout_session_id: sessionId || undefined,
+      plan: plan || undefined
     };
 
+    // Only answer "approved" once the approval is in the log, the index and the transaction store
     try {
-      await fetch(`${base}/store-status`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
-        body: JSON.stringify(storeBody)
-      });
+      // available_credit is informational here: the hold placed above already counts in the ledger
+      await statusService.recordStatus(storeBody, { route: '/validate-transaction', creditSnapshot: false });
     } catch (e) {
-      console.error('Store-status post failed:', e);
+      console.error('validate-transaction: approval not recorded:', e);
+      try { creditLedger.cancelHold(result.matched.loan_id, transaction_id); } catch (err) { console.error('creditLedger cancelHold error:', err); }
+      if (session) {
+        try { checkoutSessions.reopen(sessionId, transaction_id); } catch (err) { console.error('checkoutSessions reopen error:', err); }
+      }
+      return res.status(500).json({ ok: false, status: 'denied', code: 'APPROVAL_NOT_RECORDED', field: null, message: 'The payment could not be completed. Please try again.' });
     }
 
-    if (transaction_id) statuses[transaction_id] = 'approved';
+    webhooks.emit('twistpay.approved', {
+      transaction_id,
+      orderno,
+      amount: creditLedger.parseAmount(amount),
+      email,
+      phone_last4: last10(storeBody.phone).slice(-4) || null,
+      card_last4: String(cardNumber).replace(/\D/g, '').slice(-4),
+      loan_id: result.matched.loan_id,
+      merchant_id,
+      available_credit: hold.available,
+      plan
+    });
 
-    return res.json({ ok: true, status: 'approved', message: 'Approved' });
+    return res.json({ ok: true, status: 'approved', message: 'Approved', plan, return_url: session ? session.success_url : undefined });
   } catch (e) {
     console.error('validate-transaction error:', e);
     return res.status(500).json({ ok: false, status: 'denied', message: 'Server error' });
@@ -646,100 +807,245 @@ app.post('/validate-transaction', async (req, res) => {
 });
 
 /* ---------------- Secure status store (from your processor) ---------------- */
-app.post('/store-status', async (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-  const authorizedKey = process.env.API_KEY;
-  if (!apiKey || apiKey !== authorizedKey) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+/**
+ * Optional HMAC signature on processor webhooks (see lib/webhookSignature.js).
+ * Signed requests are always verified; unsigned ones are rejected only when WEBHOOK_SIGNATURE_REQUIRED=true.
+ */
+const webhookNonces = webhookSignature.createNonceCache();
+
+function verifyWebhookSignature(req, res, next) {
+  const secrets = webhookSignature.configuredSecrets();
+  const header = req.headers[webhookSignature.HEADER];
+  if (!secrets.length) {
+    if (webhookSignature.isRequired()) {
+      console.error('WEBHOOK_SIGNATURE_REQUIRED is set but WEBHOOK_SIGNING_SECRETS is empty');
+      return res.status(500).json({ success: false, message: 'Server misconfigured' });
+    }
+    return next();
   }
+  if (!header && !webhookSignature.isRequired()) return next();
+
+  const result = webhookSignature.verify(header, req.rawBody || Buffer.alloc(0), { secrets, nonceCache: webhookNonces });
+  if (!result.ok) {
+    console.error(`Rejected ${req.path} signature (${result.reason}) key=${req.apiKey ? req.apiKey.id : '-'}`);
+    return res.status(401).json({ success: false, message: 'Invalid signature' });
+  }
+  next();
+}
+
+// Fallback key includes status so pending → approved updates for one transaction are not treated as replays.
+// 'n/a' account updates are never deduplicated by fallback.
+function storeStatusFallbackKey(body) {
+  const id = String(body.transaction_id || '').trim();
+  if (!id || id.toLowerCase() === 'n/a' || !body.status) return null;
+  return `${id}:${body.status}`;
+}
 
-  const {
-    transaction_id,
-    status,
-    email,
-    available_credit,
-    loan_id,
-    contract_expiration,
-    product_code,
-    state,
-    limit,
-    phone,
-    code,
-    product_description
-  } = req.body;
-
-  if (!transaction_id || !status) {
-    return res.status(400).json({ success: false, message: 'Missing transaction_id or status' });
+app.post('/store-status', requireScope('status:write'), verifyWebhookSignature, idempotent('store-status', storeStatusFallbackKey), async (req, res) => {
+  try {
+    const merchant = requestMerchant(req, (req.body || {}).merchant_id);
+    if (!merchant.ok) return res.status(400).json({ success: false, message: 'Unknown merchant' });
+    const body = merchant.byKey ? { ...req.body, merchant_id: merchant.merchant_id } : req.body;
+    await statusService.recordStatus(body, { route: '/store-status' });
+    res.json({ success: true });
+  } catch (e) {
+    if (e instanceof statusService.StatusError && e.httpStatus < 500) {
+      return res.status(e.httpStatus).json({ success: false, message: e.message });
+    }
+    console.error('/store-status error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
+});
 
-  const timestamp = new Date().toISOString();
-  const logEntry = `[${timestamp}] Incoming POST /store-status: ${JSON.stringify(req.body)}\n`;
-  console.log(logEntry);
-  logWrite(logEntry);
+/* ---------------- Post-approval actions: void / capture / refund (API key) ---------------- */
+/**
+ * POST /transactions/:id/void
+ * POST /transactions/:id/capture  { amount? }  (partial capture releases the remainder)
+ * POST /transactions/:id/refund   { amount? }  (defaults to the full refundable amount)
+ * Retries are safe only with an Idempotency-Key header (two identical partial refunds are legitimate).
+ */
+function transactionAction(action) {
+  return (req, res) => {
+    try {
+      const transaction_id = String(req.params.id || '');
+      const merchant = requestMerchant(req, null);
+      let tx = transactionStore.getTransaction(transaction_id);
+      // A merchant's key only reaches that merchant's transactions
+      if (tx && merchant.byKey && tx.merchant_id !== merchant.merchant_id) tx = null;
+      const plan = planAction(tx, action, (req.body || {}).amount);
+      if (!plan.ok) {
+        return res.status(plan.httpStatus).json({ success: false, message: plan.message });
+      }
 
-  statuses[transaction_id] = status;
+      const route = `/transactions/${transaction_id}/${action}`;
+      const audit = {
+        transaction_id,
+        action,
+        amount: plan.amount,
+        previous_status: tx.status,
+        status: plan.status,
+        credit_released: plan.release,
+        reason: (req.body || {}).reason || undefined
+      };
+      logStore.logRequest(route, audit);
+
+      const updated = transactionStore.recordTransactionStatus(transaction_id, plan.status, {
+        source: route,
+        ...plan.fields
+      });
 
-  try { payloadIndex.upsertIndexFromPayload(req.body); } catch (e) { console.error('upsertIndexFromPayload error:', e); }
+      if (tx.loan_id) {
+        if (action === 'capture') creditLedger.recordCapture(tx.loan_id, transaction_id, plan.amount);
+        if (plan.release > 0) creditLedger.release(tx.loan_id, transaction_id, plan.release, action);
+      }
 
-  const shouldUpdateAC = String(transaction_id || '').trim().toLowerCase() === 'n/a';
+      if (action === 'refund') {
+        webhooks.emit('refund.created', {
+          transaction_id,
+          amount: plan.amount,
+          refunded_amount: updated.refunded_amount,
+          status: updated.status,
+          merchant_id: updated.merchant_id,
+          reason: audit.reason || null
+        });
+      }
+      if (updated.status !== audit.previous_status) {
+        webhooks.emit('status.updated', {
+          transaction_id,
+          status: updated.status,
+          previous_status: audit.previous_status,
+          source: route,
+          orderno: updated.orderno,
+          amount: updated.amount,
+          merchant_id: updated.merchant_id
+        });
+      }
 
-  if (shouldUpdateAC && email) {
-    const fieldValues = [];
-    if (typeof available_credit !== 'undefined') fieldValues.push({ field: 78, value: available_credit });
-    if (typeof loan_id !== 'undefined') fieldValues.push({ field: 80, value: loan_id });
-    if (typeof contract_expiration !== 'undefined') fieldValues.push({ field: 86, value: contract_expiration });
-    if (typeof product_code !== 'undefined') fieldValues.push({ field: 84, value: product_code });
-    if (typeof state !== 'undefined') fieldValues.push({ field: 85, value: state });
-    if (typeof limit !== 'undefined') fieldValues.push({ field: 82, value: limit });
-    if (typeof product_description !== 'undefined') fieldValues.push({ field: 88, value: product_description });
-    if (state === 'active') fieldValues.push({ field: 79, value: 'YES' });
-    try {
-      await fetch(`${process.env.AC_API_URL}/api/3/contact/sync`, {
-        method: 'POST',
-        headers: { 'Api-Token': process.env.AC_API_KEY, 'Content-Type': 'application/json' },
-        body: JSON.stringify({ contact: { email, fieldValues } })
+      return res.json({
+        success: true,
+        transaction_id,
+        status: updated.status,
+        amount: updated.amount,
+        captured_amount: updated.captured_amount,
+        refunded_amount: updated.refunded_amount,
+        available_credit: tx.loan_id ? creditLedger.availableCredit(tx.loan_id) : undefined
       });
-    } catch (err) {
-      console.error('ActiveCampaign update error:', err);
+    } catch (e) {
+      console.error(`transactions/${action} error:`, e);
+      return res.status(500).json({ success: false, message: 'Server error' });
     }
-  } else {
-    console.log(`[AC SKIP] transaction_id='${transaction_id}' — skipping ActiveCampaign update`);
-  }
-
-  if (loan_id && contract_expiration) {
-    getOrGenerateTwistCode(loan_id, contract_expiration);
-  }
+  };
+}
 
-  res.json({ success: true });
-});
+const headerOnlyKey = () => null;
+app.post('/transactions/:id/void', requireScope('status:write'), idempotent('transactions/void', headerOnlyKey), transactionAction('void'));
+app.post('/transactions/:id/capture', requireScope('status:write'), idempotent('transactions/capture', headerOnlyKey), transactionAction('capture'));
+app.post('/transactions/:id/refund', requireScope('status:write'), idempotent('transactions/refund', headerOnlyKey), transactionAction('refund'));
 
 /* ---------------- Safe client polling (no API key) ---------------- */
+// Kept for existing merchants; unknown ids read as 'pending' here. New integrations: GET /transactions/:id/events
 app.post('/client-check-status', (req, res) => {
   try {
     const { transaction_id } = req.body || {};
     if (!transaction_id) return res.status(400).json({ success: false, message: 'Missing transaction_id' });
-    const status = statuses[transaction_id] || 'pending';
+    const status = transactionStore.getStatus(transaction_id) || 'pending';
     return res.json({ success: true, status });
   } catch (e) {
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-/* ---------------- Existing GET routes (still protected) ---------------- */
-app.get('/check-status', (req, res) => {
+/* ---------------- Status channel: SSE / long-poll (no API key, like /client-check-status) ---------------- */
+/**
+ * GET /transactions/:id/events
+ * - Accept: text/event-stream → Server-Sent Events: one `status` event right away, then one per change
+ *   (from /pre-validate, /validate-transaction, /store-status or a void/capture/refund), `: ping` every
+ *   STATUS_STREAM_PING_SECONDS. The stream ends after STATUS_STREAM_MAX_SECONDS; EventSource reconnects by itself.
+ * - Otherwise long-poll: ?since=<status>&timeout=<seconds> answers as soon as the status differs from `since`
+ *   (right away without `since`), or at the timeout (max STATUS_LONG_POLL_MAX_SECONDS) with changed: false.
+ * Unlike /client-check-status, ids the server has never seen are reported as 'unknown', not 'pending'.
+ */
+const STATUS_STREAM_PING_SECONDS = Number(process.env.STATUS_STREAM_PING_SECONDS || 25);
+const STATUS_STREAM_MAX_SECONDS = Number(process.env.STATUS_STREAM_MAX_SECONDS || 300);
+const STATUS_LONG_POLL_MAX_SECONDS = Number(process.env.STATUS_LONG_POLL_MAX_SECONDS || 60);
+
+const statusView = (id, tx) => ({
+  transaction_id: id,
+  status: tx ? tx.status : 'unknown',
+  updated_at: tx ? tx.updatedAt : null
+});
+
+function streamStatus(req, res, id) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (tx) => res.write(`event: status\ndata: ${JSON.stringify(statusView(id, tx))}\n\n`);
+
+  res.write('retry: 3000\n\n');
+  send(transactionStore.getTransaction(id));
+  const unsubscribe = transactionStore.onStatusChange(id, send);
+  const ping = setInterval(() => res.write(': ping\n\n'), STATUS_STREAM_PING_SECONDS * 1000);
+  const maxAge = setTimeout(() => res.end(), STATUS_STREAM_MAX_SECONDS * 1000);
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(ping);
+    clearTimeout(maxAge);
+  });
+}
+
+function longPollStatus(req, res, id) {
+  const since = req.query.since ? String(req.query.since) : null;
+  const current = statusView(id, transactionStore.getTransaction(id));
+  if (!since || current.status !== since) return res.json({ success: true, changed: !!since, ...current });
+
+  const waitSeconds = Math.min(Math.max(Number(req.query.timeout) || 30, 1), STATUS_LONG_POLL_MAX_SECONDS);
+  let unsubscribe = null;
+  let timer = null;
+  const finish = (tx, changed) => {
+    unsubscribe();
+    clearTimeout(timer);
+    if (!res.headersSent) res.json({ success: true, changed, ...statusView(id, tx) });
+  };
+  unsubscribe = transactionStore.onStatusChange(id, (tx) => {
+    if (tx.status !== since) finish(tx, true);
+  });
+  timer = setTimeout(() => finish(transactionStore.getTransaction(id), false), waitSeconds * 1000);
+  res.on('close', () => {
+    unsubscribe();
+    clearTimeout(timer);
+  });
+}
+
+app.get('/transactions/:id/events', (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, message: 'Missing transaction_id' });
+    if (String(req.headers.accept || '').includes('text/event-stream')) return streamStatus(req, res, id);
+    return longPollStatus(req, res, id);
+  } catch (e) {
+    console.error('transactions/events error:', e);
+    if (!res.headersSent) res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/* ---------------- Existing GET routes (lookup:read) ---------------- */
+app.get('/check-status', requireScope('lookup:read'), (req, res) => {
   const { transaction_id } = req.query;
   if (!transaction_id) return res.status(400).json({ success: false, message: 'Missing transaction_id' });
-  const status = statuses[transaction_id] || 'pending';
+  const status = transactionStore.getStatus(transaction_id) || 'pending';
   res.json({ transaction_id, status });
 });
 
 /**
  * Robust "latest by phone" (newest → oldest), last-10-digit matching.
- * Returns entire twist code if found.
- * Accepts any JSON line and any phone-like field.
+ * Returns the twist code masked to middle-4 (full code only with canRevealFullCode).
+ * Matches any phone-like field (log store phone index).
  * Searches logs first, then payloadIndex fallback.
  */
-app.get('/check-latest', (req, res) => {
+app.get('/check-latest', requireScope('lookup:read'), (req, res) => {
   const { phone } = req.query;
   if (!phone) return res.status(400).json({ success: false, message: 'Missing phone number' });
 
@@ -748,37 +1054,23 @@ app.get('/check-latest', (req, res) => {
     return res.status(400).json({ success: false, message: 'Invalid phone format' });
   }
 
-  const raw = readMergedLogText();
-  if (raw) {
-    try {
-      const lines = raw.split('\n').filter(Boolean);
-
-      for (const line of lines) {
-        const jsonMatch = line.match(/{.*}/);
-        if (!jsonMatch) continue;
-
-        let entry;
-        try { entry = normalizePayloadRecord(JSON.parse(jsonMatch[0])); } catch { continue; }
-
-        const ePhones = phonesFromEntry(entry);
-        const hasMatch = ePhones.some(p => last10(p) === qLast10);
-        if (!hasMatch) continue;
-
-        const loanId = entry.loan_id;
-        const expiration = entry.contract_expiration;
-        const hit = resolveTwistCodeFromLoanAndExpiration(loanId, expiration);
-
-        return res.json({
-          success: true,
-          source: 'logs',
-          transaction_id: entry.transaction_id || null,
-          timestamp: getTimestampFromLogLine(line),
-          code: hit.twistcode || null
-        });
-      }
-    } catch (err) {
-      console.error('check-latest log scan error:', err);
+  try {
+    const hit = logStore.byPhoneLast10(qLast10)[0];
+    if (hit) {
+      const entry = normalizePayloadRecord(hit.payload);
+      const codeHit = resolveTwistCodeFromLoanAndExpiration(entry.loan_id, entry.contract_expiration);
+
+      return res.json({
+        success: true,
+        source: 'logs',
+        transaction_id: entry.transaction_id || null,
+        timestamp: hit.timestamp,
+        code: presentCode(req, codeHit.twistcode),
+        middle4: twistCodes.middle4Of(codeHit.twistcode)
+      });
     }
+  } catch (err) {
+    console.error('check-latest log lookup error:', err);
   }
 
   try {
@@ -789,7 +1081,7 @@ app.get('/check-latest', (req, res) => {
       return res.status(404).json({ success: false, message: 'No entries found for this phone number' });
     }
 
-    let twistcode = latest.code || null;
+    let twistcode = null;
     if (!twistcode && latest.loan_id && latest.contract_expiration) {
       const hit = resolveTwistCodeFromLoanAndExpiration(latest.loan_id, latest.contract_expiration);
       twistcode = hit.twistcode || null;
@@ -800,7 +1092,8 @@ app.get('/check-latest', (req, res) => {
       source: 'payloadIndex',
       transaction_id: latest.transaction_id || null,
       timestamp: latest.updatedAt || null,
-      code: twistcode
+      code: presentCode(req, twistcode),
+      middle4: twistCodes.middle4Of(twistcode)
     });
   } catch (err) {
     console.error('check-latest payloadIndex fallback error:', err);
@@ -812,7 +1105,7 @@ app.get('/check-latest', (req, res) => {
  * Return middle 4 digits mapped from phone -> latest loan entry.
  * Searches logs first, then payloadIndex fallback.
  */
-app.get('/code/middle4-by-phone', (req, res) => {
+app.get('/code/middle4-by-phone', requireScope('lookup:read'), (req, res) => {
   try {
     const { phone } = req.query;
     if (!phone) return res.status(400).json({ success: false, message: 'Missing phone' });
@@ -822,41 +1115,27 @@ app.get('/code/middle4-by-phone', (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid phone format' });
     }
 
-    const raw = readMergedLogText();
-    if (raw) {
-      const lines = raw.split('\n').filter(Boolean);
-
-      for (const line of lines) {
-        const jsonMatch = line.match(/{.*}/);
-        if (!jsonMatch) continue;
-
-        let entry;
-        try { entry = normalizePayloadRecord(JSON.parse(jsonMatch[0])); } catch { continue; }
+    for (const hit of logStore.byPhoneLast10(qLast10)) {
+      const entry = normalizePayloadRecord(hit.payload);
+      const loanId = entry.loan_id || null;
+      const expiration = entry.contract_expiration || null;
+      if (!loanId || !expiration) continue;
 
-        const ePhones = phonesFromEntry(entry);
-        const matched = ePhones.some(p => last10(p) === qLast10);
-        if (!matched) continue;
-
-        const loanId = entry.loan_id || null;
-        const expiration = entry.contract_expiration || null;
-        if (!loanId || !expiration) continue;
-
-        const hit = resolveTwistCodeFromLoanAndExpiration(loanId, expiration);
-        if (!hit.twistcode) {
-          return res.status(404).json({ success: false, message: 'No twistcode for this loan/expiration' });
-        }
+      const codeHit = resolveTwistCodeFromLoanAndExpiration(loanId, expiration);
+      if (!codeHit.twistcode) {
+        return res.status(404).json({ success: false, message: 'No twistcode for this loan/expiration' });
+      }
 
-        const middle4 = String(hit.twistcode).slice(4, 8);
+      const middle4 = String(codeHit.twistcode).slice(4, 8);
 
-        return res.json({
-          success: true,
-          source: 'logs',
-          middle4,
-          loan_id: loanId,
-          contract_expiration: hit.usedExpiration || expiration,
-          timestamp: getTimestampFromLogLine(line)
-        });
-      }
+      return res.json({
+        success: true,
+        source: 'logs',
+        middle4,
+        loan_id: loanId,
+        contract_expiration: codeHit.usedExpiration || expiration,
+        timestamp: hit.timestamp
+      });
     }
 
     const records = getIndexRecordsByPhoneLast10(qLast10);
@@ -871,7 +1150,7 @@ app.get('/code/middle4-by-phone', (req, res) => {
       return res.status(404).json({ success: false, message: 'No loan/expiration found for this phone number' });
     }
 
-    let twistcode = latest.code || null;
+    let twistcode = null;
     let usedExpiration = expiration;
 
     if (!twistcode) {
@@ -898,35 +1177,44 @@ app.get('/code/middle4-by-phone', (req, res) => {
   }
 });
 
-app.get('/get-code', (req, res) => {
+app.get('/get-code', requireScope('lookup:read'), (req, res) => {
   const { loan_id, contract_expiration } = req.query;
   if (!loan_id || !contract_expiration) {
     return res.status(400).json({ success: false, message: 'Missing loan_id or contract_expiration' });
   }
 
-  const hash = crypto.createHash('sha256').update(`${loan_id}|${contract_expiration}`).digest('hex');
-  if (!fs.existsSync(twistCodePath)) {
-    return res.status(404).json({ success: false, message: 'code.json not found' });
-  }
-
   try {
-    const data = JSON.parse(fs.readFileSync(twistCodePath, 'utf-8'));
-    const twistcode = data[hash];
-    if (!twistcode) {
+    const hit = twistCodes.lookupTwistCode(loan_id, contract_expiration);
+    if (!hit) {
       return res.status(404).json({ success: false, message: 'No twistcode found for this pair' });
     }
-    res.json({ twistcode });
+    res.json({
+      twistcode: presentCode(req, hit.twistcode),
+      middle4: twistCodes.middle4Of(hit.twistcode),
+      masked: !canRevealFullCode(req)
+    });
+  } catch (e) {
+    console.error('get-code read error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/* ---------------- Admin (admin scope): inspect/diagnose ---------------- */
+// Registered keys with scopes, expiry and usage counters (hashes are never returned)
+app.get('/admin/api-keys', requireScope('admin:read'), (_req, res) => {
+  try {
+    res.json({ success: true, keys: apiKeys.listKeys() });
   } catch (e) {
-    console.error('get-code parse error:', e);
+    console.error('admin/api-keys error:', e);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-/* ---------------- Admin (GET-key protected): inspect/diagnose ---------------- */
-app.get('/admin/log-info', (_req, res) => {
+app.get('/admin/log-info', requireScope('admin:read'), (_req, res) => {
   const candidates = [
-    LOG_PRIMARY,
-    LOG_FALLBACK,
+    logStore.LOG_PRIMARY,
+    logStore.LOG_FALLBACK,
+    lookupStore.LOOKUP_STORE_PATH,
     path.join('/mnt/data', 'twist_webhook.txt'),
     path.join(__dirname, 'twist_webhook.txt'),
   ];
@@ -942,32 +1230,23 @@ app.get('/admin/log-info', (_req, res) => {
   res.json({ candidates: info });
 });
 
-// Admin: show the latest match by phone (logs first, then payloadIndex)
-app.get('/admin/find-latest-by-phone', (_req, res) => {
+const redactForAdmin = (entry) => (redaction.isEnabled() ? redaction.redactPayload(entry) : entry);
+
+// Admin: show the latest match by phone (logs first, then payloadIndex), redacted per LOG_REDACTION_POLICY
+app.get('/admin/find-latest-by-phone', requireScope('admin:read'), (_req, res) => {
   try {
     const phone = String(_req.query.phone || '');
     const target = phone.replace(/\D/g, '').slice(-10);
     if (target.length !== 10) return res.status(400).json({ success: false, message: 'Invalid phone' });
 
-    const raw = readMergedLogText();
-    if (raw) {
-      const lines = raw.split('\n').filter(Boolean);
-      for (const line of lines) {
-        const m = line.match(/{.*}/);
-        if (!m) continue;
-        let entry; 
-        try { entry = normalizePayloadRecord(JSON.parse(m[0])); } catch { continue; }
-
-        const phones = phonesFromEntry(entry).map(p => p.replace(/\D/g, '').slice(-10)).filter(Boolean);
-        if (phones.includes(target)) {
-          return res.json({
-            success: true,
-            source: 'logs',
-            timestamp: getTimestampFromLogLine(line),
-            entry
-          });
-        }
-      }
+    const hit = logStore.byPhoneLast10(target)[0];
+    if (hit) {
+      return res.json({
+        success: true,
+        source: 'logs',
+        timestamp: hit.timestamp,
+        entry: redactForAdmin(normalizePayloadRecord(hit.payload))
+      });
     }
 
     const records = getIndexRecordsByPhoneLast10(target);
@@ -980,7 +1259,7 @@ app.get('/admin/find-latest-by-phone', (_req, res) => {
       success: true,
       source: 'payloadIndex',
       timestamp: latest.updatedAt || null,
-      entry: latest
+      entry: redactForAdmin(latest)
     });
   } catch (e) {
     console.error('find-latest-by-phone error:', e);
@@ -988,51 +1267,50 @@ app.get('/admin/find-latest-by-phone', (_req, res) => {
   }
 });
 
-/* ---------------- Durable lookups (GET-key protected) ---------------- */
+/* ---------------- Durable lookups (lookup:read) ---------------- */
 
 // By TWIST code
-app.get('/lookup/by-code', (req, res) => {
+app.get('/lookup/by-code', requireScope('lookup:read'), (req, res) => {
   const code = String(req.query.code || '').trim();
   if (!/^\d{12}$/.test(code)) return res.status(400).json({ success: false, message: 'Invalid code' });
 
-  let idx = payloadIndex.loadPayloadIndex();
-  let key = idx.byCode[code];
-  let rec = key && idx.byKey[key];
+  try {
+    const key = twistCodes.reverseFindKeyByCode(code);
+    let rec = key && payloadIndex.loadPayloadIndex().byKey[key];
 
-  if (!rec) {
-    const k = payloadIndex.reverseFindKeyByCode(code);
-    if (k) {
-      const raw = readMergedLogText();
-      const entry = payloadIndex.findPayloadByKeyInLogs(k, raw);
+    if (key && !rec) {
+      const logHit = logStore.byLoanExpKey(key)[0];
+      const entry = logHit && logHit.payload;
       if (entry) {
         try { payloadIndex.upsertIndexFromPayload(entry); } catch {}
-        idx = payloadIndex.loadPayloadIndex();
-        key = k;
-        rec = idx.byKey[key];
+        rec = payloadIndex.loadPayloadIndex().byKey[key];
       }
     }
-  }
 
-  if (!rec) return res.status(404).json({ success: false, message: 'No info for that code' });
-  return res.json({ success: true, ...payloadIndex.summarizeRecord(rec) });
+    if (!rec) return res.status(404).json({ success: false, message: 'No info for that code' });
+    return res.json({ success: true, ...payloadIndex.summarizeRecord(rec, { revealFull: canRevealFullCode(req) }) });
+  } catch (e) {
+    console.error('lookup/by-code error:', e);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
 });
 
 // By loan + expiration
-app.get('/lookup/by-loan', (req, res) => {
+app.get('/lookup/by-loan', requireScope('lookup:read'), (req, res) => {
   const loan_id = String(req.query.loan_id || '').trim();
   const expRaw  = String(req.query.contract_expiration || '').trim();
   if (!loan_id || !expRaw) return res.status(400).json({ success: false, message: 'Missing loan_id or contract_expiration' });
 
-  const key = crypto.createHash('sha256').update(`${loan_id}|${expRaw}`).digest('hex');
+  const key = twistCodes.codeKey(loan_id, expRaw);
   const idx = payloadIndex.loadPayloadIndex();
   const rec = idx.byKey[key];
   if (!rec) return res.status(404).json({ success: false, message: 'No info for that loan/expiration' });
 
-  return res.json({ success: true, ...payloadIndex.summarizeRecord(rec) });
+  return res.json({ success: true, ...payloadIndex.summarizeRecord(rec, { revealFull: canRevealFullCode(req) }) });
 });
 
 // By phone
-app.get('/lookup/by-phone', (req, res) => {
+app.get('/lookup/by-phone', requireScope('lookup:read'), (req, res) => {
   const l10 = String(req.query.phone || '').replace(/\D/g, '').slice(-10);
   if (l10.length !== 10) return res.status(400).json({ success: false, message: 'Invalid phone' });
 
@@ -1040,12 +1318,12 @@ app.get('/lookup/by-phone', (req, res) => {
   const keys = idx.byPhone[l10] || [];
   if (!keys.length) return res.status(404).json({ success: false, message: 'No entries for that phone' });
 
-  const items = keys.map(k => payloadIndex.summarizeRecord(idx.byKey[k])).filter(Boolean);
+  const items = keys.map(k => payloadIndex.summarizeRecord(idx.byKey[k], { revealFull: canRevealFullCode(req) })).filter(Boolean);
   return res.json({ success: true, phoneLast10: l10, items });
 });
 
 // By email
-app.get('/lookup/by-email', (req, res) => {
+app.get('/lookup/by-email', requireScope('lookup:read'), (req, res) => {
   const email = String(req.query.email || '').trim().toLowerCase();
   if (!email) return res.status(400).json({ success: false, message: 'Missing email' });
 
@@ -1053,25 +1331,193 @@ app.get('/lookup/by-email', (req, res) => {
   const keys = idx.byEmail[email] || [];
   if (!keys.length) return res.status(404).json({ success: false, message: 'No entries for that email' });
 
-  const items = keys.map(k => payloadIndex.summarizeRecord(idx.byKey[k])).filter(Boolean);
+  const items = keys.map(k => payloadIndex.summarizeRecord(idx.byKey[k], { revealFull: canRevealFullCode(req) })).filter(Boolean);
   return res.json({ success: true, email, items });
 });
 
 // Optional: backfill index from current logs
-app.get('/admin/reindex-from-logs', (_req, res) => {
-  const raw = readMergedLogText();
-  if (!raw) return res.status(404).json({ success: false, message: 'No log file found' });
+app.get('/admin/reindex-from-logs', requireScope('admin:read'), (_req, res) => {
+  const entries = logStore.allPayloads();
+  if (!entries.length) return res.status(404).json({ success: false, message: 'No log entries found' });
 
   let added = 0;
-  const lines = raw.split('\n').filter(Boolean);
-  for (const line of lines) {
-    const m = line.match(/{.*}/);
-    if (!m) continue;
-    try { const obj = JSON.parse(m[0]); payloadIndex.upsertIndexFromPayload(obj); added++; } catch {}
+  for (const { payload } of entries) {
+    try { payloadIndex.upsertIndexFromPayload(payload); added++; } catch {}
   }
   res.json({ success: true, added });
 });
 
+// Apply the log retention window now (also runs on a timer, see Boot)
+app.post('/admin/prune-logs', requireScope('admin'), (_req, res) => {
+  try {
+    res.json({ success: true, ...logStore.pruneLogs() });
+  } catch (e) {
+    console.error('admin/prune-logs error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/* ---------------- Merchants (admin scope; see lib/merchants.js) ---------------- */
+// Registered merchants (webhook secrets are never returned)
+app.get('/admin/merchants', requireScope('admin:read'), (_req, res) => {
+  try {
+    res.json({ success: true, merchants: merchants.listMerchants(), default_merchant_id: merchants.defaultMerchantId() });
+  } catch (e) {
+    console.error('admin/merchants error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Settlement totals for one merchant: ?from=&to= (ISO dates, to is exclusive)
+app.get('/admin/merchants/:id/settlement', requireScope('admin:read'), (req, res) => {
+  try {
+    const id = String(req.params.id || '');
+    if (!merchants.listMerchants().some(m => m.id === id)) {
+      return res.status(404).json({ success: false, message: 'Unknown merchant' });
+    }
+    const report = merchants.settlementReport(id, transactionStore.listTransactions(), {
+      from: req.query.from ? String(req.query.from) : null,
+      to: req.query.to ? String(req.query.to) : null
+    });
+    res.json({ success: true, ...report });
+  } catch (e) {
+    console.error('admin/merchants/settlement error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/* ---------------- Outbound webhooks (admin scope; see lib/webhooks.js) ---------------- */
+// Subscribers (never their secrets) and delivery queue counters
+app.get('/admin/webhooks', requireScope('admin:read'), (_req, res) => {
+  try {
+    res.json({ success: true, subscribers: webhooks.listSubscribers(), queue: webhooks.queue.stats() });
+  } catch (e) {
+    console.error('admin/webhooks error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Deliveries that ran out of retries, newest first
+app.get('/admin/webhooks/dead-letters', requireScope('admin:read'), (_req, res) => {
+  try {
+    res.json({ success: true, items: webhooks.queue.listDead() });
+  } catch (e) {
+    console.error('admin/webhooks/dead-letters error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Put a dead delivery back on the queue (sent again right away, with a fresh retry budget)
+app.post('/admin/webhooks/dead-letters/:id/replay', requireScope('admin'), (req, res) => {
+  try {
+    const job = webhooks.queue.replay(String(req.params.id || ''));
+    if (!job) return res.status(404).json({ success: false, message: 'Dead letter not found' });
+    res.json({ success: true, id: job.id, event: job.payload.event.id, subscriber_id: job.payload.subscriber_id });
+  } catch (e) {
+    console.error('admin/webhooks replay error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/* ---------------- ActiveCampaign sync queue (admin scope; see lib/crmSync.js) ---------------- */
+app.get('/admin/crm-sync', requireScope('admin:read'), (_req, res) => {
+  try {
+    res.json({
+      success: true,
+      configured: crmSync.isConfigured(),
+      queue: crmSync.queue.stats(),
+      pending: crmSync.queue.listPending(),
+      failed: crmSync.queue.listDead()
+    });
+  } catch (e) {
+    console.error('admin/crm-sync error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Latest account update we hold for an email: logs first (the lookup store when they're redacted), then payloadIndex.
+// Either may lack fields the original update had, so resync only sends the fields present (see crmSync `partial`).
+function latestAccountPayloadByEmail(email) {
+  const hit = logStore.byEmail(email).find(e => String(e.payload.transaction_id || '').toLowerCase() === 'n/a');
+  if (hit) return hit.payload;
+  const idx = payloadIndex.loadPayloadIndex();
+  const recs = (idx.byEmail[email] || []).map(k => idx.byKey[k]).filter(r => r && r.account);
+  recs.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+  return recs.length ? payloadIndex.accountOf(recs[0]) : null;
+}
+
+// Resync one contact from the latest account data we have: { email }
+app.post('/admin/crm-sync/resync', requireScope('admin'), (req, res) => {
+  try {
+    const email = String((req.body || {}).email || '').trim().toLowerCase();
+    if (!email) return res.status(400).json({ success: false, message: 'Missing email' });
+    if (!crmSync.isConfigured()) return res.status(503).json({ success: false, message: 'ActiveCampaign is not configured' });
+    const payload = latestAccountPayloadByEmail(email);
+    if (!payload) return res.status(404).json({ success: false, message: 'No account data for that email' });
+    const job = crmSync.enqueueContactSync({ ...payload, email }, { reason: 'admin resync', partial: true });
+    res.json({ success: true, id: job.id });
+  } catch (e) {
+    console.error('admin/crm-sync/resync error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Retry a failed (dead-lettered) sync as it was queued
+app.post('/admin/crm-sync/failed/:id/replay', requireScope('admin'), (req, res) => {
+  try {
+    const job = crmSync.queue.replay(String(req.params.id || ''));
+    if (!job) return res.status(404).json({ success: false, message: 'Failed job not found' });
+    res.json({ success: true, id: job.id });
+  } catch (e) {
+    console.error('admin/crm-sync replay error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /* ---------------- Boot ---------------- */
+try {
+  console.log(`OTP provider: ${getOtpProvider().name}`);
+} catch (e) {
+  // No customer can pass /pre-validate without a working provider, and local/test ones can leak or skip the OTP
+  console.error('❌ OTP provider unavailable:', e.message);
+  process.exit(1);
+}
+if (redaction.isEnabled() && !lookupStore.isConfigured()) {
+  // Redacted logs need the encrypted lookup store; without it every payload would be logged in full and kept forever
+  console.error('❌ LOG_REDACTION is on but LOOKUP_STORE_KEY is not set — set the key, or LOG_REDACTION=off to log in full.');
+  process.exit(1);
+}
+
+const LOG_PRUNE_INTERVAL_MS = Number(process.env.LOG_PRUNE_INTERVAL_HOURS || 24) * 60 * 60 * 1000;
+function runLogRetention() {
+  try {
+    const r = logStore.pruneLogs();
+    if (!r.skipped && (r.removed || (r.lookup && r.lookup.dropped))) {
+      console.log(`Log retention: ${r.removed} lines removed (${r.archived} archived), ${r.lookup.dropped} lookup entries dropped`);
+    }
+  } catch (e) {
+    console.error('Log retention failed:', e);
+  }
+}
+setTimeout(runLogRetention, 60 * 1000).unref();
+setInterval(runLogRetention, LOG_PRUNE_INTERVAL_MS).unref();
+
+webhooks.start();
+crmSync.start();
+if (!webhooks.listSubscribers().some(s => !s.disabled)) {
+  console.error('⚠️  No outbound webhook subscribers (ZAPIER_WEBHOOK_URL, OUTBOUND_WEBHOOKS_JSON / _FILE or a merchant webhook_url) — approval events go nowhere.');
+}
+
+if (!signedToken.isConfigured()) {
+  console.error('⚠️  SIGNED_TOKEN_SECRET not set — checkout tokens are signed with a per-process key and die on restart.');
+}
+if (!twistCodes.isConfigured()) {
+  console.error('⚠️  TWIST_CODE_KEK / TWIST_CODE_HMAC_KEY not set — TWIST code lookups and generation will fail.');
+}
+// Exit normally on a shutdown signal so 'exit' handlers (buffered API key usage lines) still run
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => process.exit(128 + os.constants.signals[signal]));
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
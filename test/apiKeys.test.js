@@ -0,0 +1,64 @@
+// test/apiKeys.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, startServer, SECRETS } = require('./helpers');
+
+const dir = tempDir();
+const LOG = path.join(dir, 'api_key_usage.jsonl');
+process.env.API_KEY_USAGE_LOG = LOG;
+process.env.API_KEY_USAGE_LOG_MAX_MB = String(4096 / (1024 * 1024)); // 4 KB
+process.env.API_KEYS_FILE = path.join(dir, 'api_keys.json');
+const apiKeys = require('../lib/apiKeys');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const use = (n) => {
+  for (let i = 0; i < n; i++) apiKeys.recordUsage('k1', { scope: 'admin', method: 'GET', path: '/admin/x', ip: '127.0.0.1', allowed: true });
+};
+const lines = (file) => fs.readFileSync(file, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+
+test('usage is buffered and written in one go when flushed', async () => {
+  use(3);
+  assert.equal(fs.existsSync(LOG), false);
+  await apiKeys.flushUsage();
+  const written = lines(LOG);
+  assert.equal(written.length, 3);
+  assert.equal(written[0].key_id, 'k1');
+  assert.equal(written[0].path, '/admin/x');
+});
+
+test('the usage log rotates to one previous generation at its size cap', async () => {
+  for (let round = 0; round < 4; round++) {
+    use(40); // ~4 KB per round
+    await apiKeys.flushUsage();
+  }
+  assert.ok(fs.existsSync(`${LOG}.1`));
+  assert.ok(fs.statSync(LOG).size < 2 * 4096);
+  assert.ok(fs.statSync(`${LOG}.1`).size < 2 * 4096);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['api_key_usage.jsonl', 'api_key_usage.jsonl.1']);
+});
+
+test('admin implies admin:read, not the other way round', () => {
+  assert.equal(apiKeys.hasScope({ scopes: ['admin'] }, 'admin:read'), true);
+  assert.equal(apiKeys.hasScope({ scopes: ['admin:read'] }, 'admin'), false);
+  assert.equal(apiKeys.hasScope({ scopes: ['lookup:read'] }, 'admin:read'), false);
+});
+
+test('the legacy GET key reads admin routes but cannot change state; usage survives a SIGTERM', async (t) => {
+  const usageDir = tempDir();
+  t.after(() => fs.rmSync(usageDir, { recursive: true, force: true }));
+  const usageLog = path.join(usageDir, 'usage.jsonl');
+  const srv = await startServer({ API_KEY_USAGE_LOG: usageLog, API_KEY_USAGE_FLUSH_SECONDS: '600' });
+  const legacy = { 'x-api-key': SECRETS.GET_API_KEY };
+
+  assert.equal((await srv.request('GET', '/admin/log-info', { headers: legacy })).status, 200);
+  assert.equal((await srv.request('POST', '/admin/prune-logs', { headers: legacy })).status, 403);
+  assert.equal(fs.existsSync(usageLog), false);
+
+  await srv.stop(); // SIGTERM
+  assert.deepEqual(lines(usageLog).map(l => [l.key_id, l.scope, l.allowed]), [
+    ['env:GET_API_KEY', 'admin:read', true],
+    ['env:GET_API_KEY', 'admin', false],
+  ]);
+});
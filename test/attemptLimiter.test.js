@@ -0,0 +1,84 @@
+// test/attemptLimiter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, startServer, seedAccount, SECRETS, ACCOUNT, CARD } = require('./helpers');
+
+const dir = tempDir();
+process.env.ATTEMPT_STORE_PATH = path.join(dir, 'attempt_limits.json');
+const attemptLimiter = require('../lib/attemptLimiter');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const T0 = Date.now(); // save() prunes buckets idle for longer than the lockout cap
+
+test('five card failures lock the card, and each further lockout doubles', () => {
+  const keys = ['ip:10.0.0.1', 'card:111111'];
+  for (let i = 0; i < 4; i++) attemptLimiter.recordFailure(keys, T0 + i);
+  assert.deepEqual(attemptLimiter.check(keys, T0 + 10), { allowed: true });
+
+  attemptLimiter.recordFailure(keys, T0 + 10);
+  assert.deepEqual(attemptLimiter.check(keys, T0 + 10), { allowed: false, retryAfterSec: 60 });
+  assert.deepEqual(attemptLimiter.check(['ip:10.0.0.1'], T0 + 10), { allowed: true });
+  assert.equal(attemptLimiter.check(keys, T0 + 10 + 60 * 1000).allowed, true);
+
+  const later = T0 + 120 * 1000;
+  for (let i = 0; i < 5; i++) attemptLimiter.recordFailure(keys, later + i);
+  assert.deepEqual(attemptLimiter.check(keys, later + 4), { allowed: false, retryAfterSec: 120 });
+
+  // Persisted, so a restart keeps the lockout
+  const saved = JSON.parse(fs.readFileSync(process.env.ATTEMPT_STORE_PATH, 'utf-8'));
+  assert.equal(saved.buckets['card:111111'].lockouts, 2);
+});
+
+test('a success clears the card count but not the IP count', () => {
+  const keys = ['ip:10.0.0.2', 'card:222222'];
+  for (let i = 0; i < 3; i++) attemptLimiter.recordFailure(keys, T0 + i);
+  assert.equal(attemptLimiter.useGenericErrors(['card:222222'], T0 + 3), true);
+
+  attemptLimiter.recordSuccess(keys);
+  assert.equal(attemptLimiter.useGenericErrors(['card:222222'], T0 + 3), false);
+  assert.equal(attemptLimiter.useGenericErrors(['ip:10.0.0.2'], T0 + 3), true);
+});
+
+test('/otp/derive-phone turns generic after repeated wrong guesses, then locks the card out', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const guess = () => srv.request('POST', '/otp/derive-phone', {
+    body: { cardNumber: CARD, expiration: '0527', twist: '0000', postal: 'H1H1H1' }
+  });
+  const messages = [];
+  for (let i = 0; i < 5; i++) {
+    const r = await guess();
+    assert.equal(r.status, 400);
+    messages.push(r.body.message);
+  }
+  assert.deepEqual(messages.slice(0, 3), Array(3).fill('TWIST code incorrect.'));
+  assert.deepEqual(messages.slice(3), Array(2).fill('The details entered could not be verified.'));
+
+  const locked = await guess();
+  assert.equal(locked.status, 429);
+  assert.equal(locked.headers.get('retry-after'), '60');
+  assert.equal(locked.body.retry_after, 60);
+});
+
+test('/otp/verify-proxy refuses even the right code once the card is locked out', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const code = await srv.request('GET', `/get-code?loan_id=${ACCOUNT.loan_id}&contract_expiration=${ACCOUNT.contract_expiration}`, {
+    headers: { 'x-api-key': SECRETS.GET_API_KEY }
+  });
+  const card = { cardNumber: CARD, expiration: '0527', postal: 'H1H1H1' };
+  const { challenge_id } = (await srv.request('POST', '/otp/derive-phone', { body: { ...card, twist: code.body.middle4 } })).body;
+  await srv.request('POST', '/otp/send', { body: { challenge_id } });
+
+  for (let i = 0; i < 5; i++) await srv.request('POST', '/otp/derive-phone', { body: { ...card, twist: '0000' } });
+  const r = await srv.request('POST', '/otp/verify-proxy', { body: { challenge_id, code: '000000' } });
+  assert.equal(r.status, 429);
+  assert.equal(r.body.success, false);
+  assert.equal(r.body.code, 'TOO_MANY_ATTEMPTS');
+});
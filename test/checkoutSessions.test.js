@@ -0,0 +1,78 @@
+// test/checkoutSessions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, seedAccount, preValidate } = require('./helpers');
+
+const SHOP_KEY = 'test-shop-checkout-key';
+const PLATFORM_KEY = 'test-platform-checkout-key';
+const MERCHANTS_JSON = JSON.stringify({
+  merchants: [
+    { id: 'shop', origins: ['https://shop.example'], api_key_id: 'shop-key' },
+    { id: 'legacy', origins: ['https://legacy.example'] }
+  ]
+});
+const keyEntry = (id, raw) => ({ id, hash: 'sha256:' + crypto.createHash('sha256').update(raw).digest('hex'), scopes: ['checkout:write'] });
+const API_KEYS_JSON = JSON.stringify({ keys: [keyEntry('shop-key', SHOP_KEY), keyEntry('platform-key', PLATFORM_KEY)] });
+
+test('a merchant with an API key only takes payments through a checkout session', async (t) => {
+  const srv = await startServer({ MERCHANTS_JSON, API_KEYS_JSON });
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const shopEmbed = await srv.request('GET', '/embed-token', { headers: { Origin: 'https://shop.example' } });
+  assert.equal(shopEmbed.body.checkout_session_required, true);
+  const legacyEmbed = await srv.request('GET', '/embed-token', { headers: { Origin: 'https://legacy.example' } });
+  assert.equal(legacyEmbed.body.checkout_session_required, false);
+
+  const fromUrl = await preValidate(srv, { transaction_id: 'tx1', amount: 1, merchant_id: 'shop' });
+  assert.equal(fromUrl.pre.status, 400);
+  assert.equal(fromUrl.pre.body.code, 'CHECKOUT_SESSION_REQUIRED');
+
+  const legacy = await preValidate(srv, { transaction_id: 'tx2', amount: 1, merchant_id: 'legacy' });
+  assert.equal(legacy.pre.body.ok, true);
+
+  const created = await srv.request('POST', '/checkout-sessions', {
+    body: { amount: '80.00', currency: 'CAD', orderno: 'A-100' },
+    headers: { 'x-api-key': SHOP_KEY }
+  });
+  assert.equal(created.status, 201);
+  const withSession = await preValidate(srv, {
+    transaction_id: 'tx3', amount: '80.00', orderno: 'A-100', checkout_session_id: created.body.session_id
+  });
+  assert.equal(withSession.pre.body.ok, true);
+  const approved = await srv.request('POST', '/validate-transaction', { body: withSession.body });
+  assert.equal(approved.body.status, 'approved');
+});
+
+test('CHECKOUT_SESSION_REQUIRED=true requires a session from every merchant', async (t) => {
+  const srv = await startServer({ MERCHANTS_JSON, CHECKOUT_SESSION_REQUIRED: 'true' });
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const legacy = await preValidate(srv, { transaction_id: 'tx1', amount: 1, merchant_id: 'legacy' });
+  assert.equal(legacy.pre.body.code, 'CHECKOUT_SESSION_REQUIRED');
+});
+
+test('an Idempotency-Key only replays sessions for the same API key and merchant', async (t) => {
+  const srv = await startServer({ MERCHANTS_JSON, API_KEYS_JSON });
+  t.after(() => srv.stop());
+  const create = (apiKey, merchant_id) => srv.request('POST', '/checkout-sessions', {
+    body: { amount: '25.00', currency: 'CAD', orderno: 'A-1', merchant_id },
+    headers: { 'x-api-key': apiKey, 'Idempotency-Key': 'order-A-1' }
+  });
+
+  const shop = await create(SHOP_KEY);
+  const platformForShop = await create(PLATFORM_KEY, 'shop');
+  const platformForLegacy = await create(PLATFORM_KEY, 'legacy');
+  for (const r of [shop, platformForShop, platformForLegacy]) {
+    assert.equal(r.status, 201);
+    assert.equal(r.headers.get('idempotent-replayed'), null);
+  }
+  assert.equal(new Set([shop, platformForShop, platformForLegacy].map(r => r.body.session_id)).size, 3);
+  assert.equal(platformForLegacy.body.session.merchant_id, 'legacy');
+
+  const retry = await create(PLATFORM_KEY, 'legacy');
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retry.body.session_id, platformForLegacy.body.session_id);
+});
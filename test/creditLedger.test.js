@@ -0,0 +1,59 @@
+// test/creditLedger.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+process.env.CREDIT_LEDGER_PATH = path.join(dir, 'credit_ledger.json');
+const creditLedger = require('../lib/creditLedger');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('parseAmount reads plain and formatted amounts', () => {
+  assert.equal(creditLedger.parseAmount('12.50'), 12.5);
+  assert.equal(creditLedger.parseAmount(' $1,250.00 '), 1250);
+  assert.equal(creditLedger.parseAmount('12.50 $'), 12.5);
+  assert.equal(creditLedger.parseAmount('.5'), 0.5);
+  assert.equal(creditLedger.parseAmount(40), 40);
+});
+
+test('parseAmount rejects negative and non-numeric amounts instead of rewriting them', () => {
+  for (const v of ['-50', -50, '−50', '50-', '1e3', '12,50', 'abc', '12abc', '$', '.', '', null, undefined, {}, NaN, Infinity]) {
+    assert.ok(Number.isNaN(creditLedger.parseAmount(v)), `${String(v)} should be NaN`);
+  }
+});
+
+test('a negative amount never becomes a hold or a release', () => {
+  creditLedger.setBase('L1', 500);
+  assert.equal(creditLedger.placeHold('L1', 'tx-neg', '-50', 500).ok, false);
+  creditLedger.release('L1', 'tx-neg', '-50', 'refund');
+  assert.equal(creditLedger.availableCredit('L1', 500), 500);
+  assert.deepEqual(creditLedger.getLoan('L1').entries, []);
+
+  assert.equal(creditLedger.placeHold('L1', 'tx1', '50', 500).ok, true);
+  assert.equal(creditLedger.availableCredit('L1', 500), 450);
+});
+
+test('an over-limit balance from the processor keeps its sign', () => {
+  creditLedger.setBase('L2', '-25.50');
+  assert.equal(creditLedger.availableCredit('L2'), -25.5);
+  assert.equal(creditLedger.placeHold('L2', 'tx2', '1', null).ok, false);
+});
+
+test('a new base keeps the holds placed after the snapshot', () => {
+  creditLedger.setBase('L3', 500);
+  creditLedger.placeHold('L3', 'tx-a', '100', null);
+  creditLedger.placeHold('L3', 'tx-b', '50', null);
+
+  // The processor's snapshot for tx-a counts tx-a, not tx-b placed after it
+  creditLedger.setBase('L3', 400, { transaction_id: 'tx-a' });
+  assert.deepEqual(creditLedger.getLoan('L3').entries.map(e => e.transaction_id), ['tx-b']);
+  assert.equal(creditLedger.availableCredit('L3'), 350);
+
+  // An account update arriving right after our approval may not include it yet
+  creditLedger.setBase('L3', 350, { transaction_id: 'n/a' });
+  assert.equal(creditLedger.availableCredit('L3'), 300);
+  creditLedger.setBase('L3', 350, { transaction_id: 'tx-b' });
+  assert.equal(creditLedger.availableCredit('L3'), 350);
+});
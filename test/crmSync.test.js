@@ -0,0 +1,114 @@
+// test/crmSync.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { startServer, seedAccount, ACCOUNT } = require('./helpers');
+
+const AC_KEY = 'test-ac-key';
+const ADMIN_KEY = 'test-admin-key'; // the legacy GET_API_KEY only has admin:read
+const admin = { 'x-api-key': ADMIN_KEY };
+const API_KEYS_JSON = JSON.stringify({
+  keys: [{ id: 'ops', hash: 'sha256:' + crypto.createHash('sha256').update(ADMIN_KEY).digest('hex'), scopes: ['admin'] }]
+});
+
+// A stand-in for the ActiveCampaign API: records every contact sync, answers with `status`
+async function fakeAc() {
+  const calls = [];
+  const waiting = [];
+  const ac = { calls, status: 200 };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (d) => { raw += d; });
+    req.on('end', () => {
+      calls.push({ method: req.method, url: req.url, token: req.headers['api-token'], body: JSON.parse(raw || '{}') });
+      res.writeHead(ac.status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+      while (waiting.length && waiting[0].n <= calls.length) waiting.shift().resolve();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  ac.url = `http://127.0.0.1:${server.address().port}`;
+  ac.waitFor = (n) => new Promise((resolve, reject) => {
+    if (calls.length >= n) return resolve();
+    const timer = setTimeout(() => reject(new Error(`AC got ${calls.length} call(s), expected ${n}`)), 5000);
+    waiting.push({ n, resolve: () => { clearTimeout(timer); resolve(); } });
+  });
+  ac.close = () => new Promise((resolve) => server.close(resolve));
+  return ac;
+}
+
+const fieldValues = (call) => Object.fromEntries(call.body.contact.fieldValues.map(f => [f.field, f.value]));
+
+async function setup(t, env = {}) {
+  const ac = await fakeAc();
+  t.after(() => ac.close());
+  const srv = await startServer({ AC_API_URL: ac.url, AC_API_KEY: AC_KEY, AC_SYNC_MAX_ATTEMPTS: '1', API_KEYS_JSON, ...env });
+  t.after(() => srv.stop());
+  return { ac, srv };
+}
+
+const FULL_ACCOUNT = { state: 'active', limit: 1000, product_code: 'P12', product_description: 'Twist card' };
+
+test('an account update is synced to ActiveCampaign with the configured field ids', async (t) => {
+  const { ac, srv } = await setup(t);
+  assert.equal((await seedAccount(srv, FULL_ACCOUNT)).status, 200);
+  await ac.waitFor(1);
+
+  const [call] = ac.calls;
+  assert.equal(call.method, 'POST');
+  assert.equal(call.url, '/api/3/contact/sync');
+  assert.equal(call.token, AC_KEY);
+  assert.equal(call.body.contact.email, ACCOUNT.email);
+  assert.deepEqual(fieldValues(call), {
+    78: 500, 79: 'YES', 80: ACCOUNT.loan_id, 82: 1000, 84: 'P12', 85: 'active', 86: ACCOUNT.contract_expiration, 88: 'Twist card'
+  });
+});
+
+test('a failed sync is dead-lettered and can be replayed', async (t) => {
+  const { ac, srv } = await setup(t);
+  ac.status = 500;
+  await seedAccount(srv, FULL_ACCOUNT);
+  await ac.waitFor(1);
+
+  let state;
+  for (let i = 0; i < 50 && !(state && state.failed.length); i++) {
+    state = (await srv.request('GET', '/admin/crm-sync', { headers: admin })).body;
+    if (!state.failed.length) await new Promise((r) => setTimeout(r, 50));
+  }
+  assert.equal(state.failed.length, 1);
+
+  ac.status = 200;
+  const replay = await srv.request('POST', `/admin/crm-sync/failed/${state.failed[0].id}/replay`, { headers: admin });
+  assert.equal(replay.status, 200);
+  await ac.waitFor(2);
+  assert.deepEqual(ac.calls[1].body, ac.calls[0].body);
+});
+
+test('resync from redacted logs only sends the fields the lookup store kept', async (t) => {
+  const { ac, srv } = await setup(t);
+  await seedAccount(srv, FULL_ACCOUNT);
+  await ac.waitFor(1);
+
+  const resync = await srv.request('POST', '/admin/crm-sync/resync', { body: { email: ACCOUNT.email }, headers: admin });
+  assert.equal(resync.status, 200);
+  await ac.waitFor(2);
+  // state, limit and product_description aren't in the lookup store: AC keeps its values for them
+  assert.deepEqual(fieldValues(ac.calls[1]), { 78: 500, 80: ACCOUNT.loan_id, 84: 'P12', 86: ACCOUNT.contract_expiration });
+});
+
+test('resync never overwrites CRM fields with blanks', async (t) => {
+  const { ac, srv } = await setup(t, { LOG_REDACTION: 'off' });
+  await seedAccount(srv, { ...FULL_ACCOUNT, limit: '', product_description: ' ' });
+  await ac.waitFor(1);
+
+  await srv.request('POST', '/admin/crm-sync/resync', { body: { email: ACCOUNT.email }, headers: admin });
+  await ac.waitFor(2);
+  const sent = fieldValues(ac.calls[1]);
+  assert.equal(sent[82], undefined);
+  assert.equal(sent[88], undefined);
+  assert.equal(sent[78], 500);
+
+  const unknown = await srv.request('POST', '/admin/crm-sync/resync', { body: { email: 'nobody@example.com' }, headers: admin });
+  assert.equal(unknown.status, 404);
+});
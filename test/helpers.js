@@ -0,0 +1,173 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+
+/**
+ * Shared test setup: a server child process on a free port with every store under a fresh temp dir,
+ * fixed secrets and the `test` OTP provider (code 000000).
+ */
+const ROOT = path.join(__dirname, '..');
+
+const SECRETS = {
+  API_KEY: 'test-status-write-key',
+  GET_API_KEY: 'test-lookup-admin-key',
+  TWIST_CODE_KEK: '11'.repeat(32),
+  TWIST_CODE_HMAC_KEY: '22'.repeat(32),
+  SIGNED_TOKEN_SECRET: '33'.repeat(32),
+  LOOKUP_STORE_KEY: '44'.repeat(32),
+};
+
+const ACCOUNT = {
+  transaction_id: 'n/a',
+  status: 'active',
+  loan_id: 'L00123456',
+  contract_expiration: '2027-05-01',
+  phone: '5145551234',
+  email: 'a@b.c',
+  available_credit: 500,
+  postal_code: 'H1H 1H1',
+  province: 'QC',
+};
+const CARD = '71461567123456'; // BIN + last 6 of ACCOUNT.loan_id
+
+function tempDir(prefix = 'twist-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// Every store path pointed into dir; blanks keep dotenv from filling in the repo's .env values
+function dataEnv(dir) {
+  const p = (name) => path.join(dir, name);
+  return {
+    NODE_ENV: 'test',
+    IDEMPOTENCY_STORE_PATH: p('idempotency_keys.json'),
+    LOG_FILE_PATH: p('webhook_logs.txt'),
+    LOG_FALLBACK_PATH: p('webhook_logs_fallback.txt'),
+    LOG_ARCHIVE_DIR: p('log_archive'),
+    CREDIT_LEDGER_PATH: p('credit_ledger.json'),
+    AC_SYNC_QUEUE_PATH: p('ac_sync_queue.json'),
+    PAYLOAD_INDEX_PATH: p('payload_index.json'),
+    ATTEMPT_STORE_PATH: p('attempt_limits.json'),
+    OUTBOUND_WEBHOOKS_FILE: p('outbound_webhooks.json'),
+    OUTBOUND_WEBHOOK_QUEUE_PATH: p('outbound_webhook_queue.json'),
+    CHECKOUT_SESSIONS_PATH: p('checkout_sessions.json'),
+    LOOKUP_STORE_PATH: p('lookup_store.jsonl'),
+    TX_STORE_PATH: p('transactions.jsonl'),
+    TX_SNAPSHOT_PATH: p('transactions_snapshot.json'),
+    TWIST_CODE_PATH: p('code.json'),
+    API_KEYS_FILE: p('api_keys.json'),
+    API_KEY_USAGE_LOG: p('api_key_usage.jsonl'),
+    PRICING_FILE: p('pricing.json'), // no installment terms unless a test writes some
+    OTP_PROVIDER: 'test',
+    AC_API_URL: '',
+    AC_API_KEY: '',
+    ZAPIER_WEBHOOK_URL: '',
+    ...SECRETS,
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dir = tempDir();
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, ...dataEnv(dir), PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', (d) => { output += d; });
+  child.stderr.on('data', (d) => { output += d; });
+
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10000);
+    const check = () => {
+      if (!/Server running on port/.test(output)) return;
+      clearTimeout(timer);
+      child.stdout.off('data', check);
+      resolve();
+    };
+    child.stdout.on('data', check);
+    child.on('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${output}`)); });
+  });
+  try {
+    await started;
+  } catch (e) {
+    if (child.exitCode === null) child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    base,
+    dir,
+    output: () => output,
+    request: (method, route, opts) => request(base, method, route, opts),
+    async stop() {
+      child.removeAllListeners('exit');
+      if (child.exitCode === null) await new Promise((resolve) => { child.once('exit', resolve); child.kill(); });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// { status, headers, body } — body parsed as JSON when it is JSON
+async function request(base, method, route, { body, headers = {}, rawBody } = {}) {
+  const resp = await fetch(base + route, {
+    method,
+    headers: { ...(body !== undefined || rawBody !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    body: rawBody !== undefined ? rawBody : (body !== undefined ? JSON.stringify(body) : undefined)
+  });
+  const text = await resp.text();
+  let parsed = text;
+  try { parsed = JSON.parse(text); } catch {}
+  return { status: resp.status, headers: resp.headers, body: parsed };
+}
+
+function seedAccount(srv, overrides = {}) {
+  return srv.request('POST', '/store-status', { body: { ...ACCOUNT, ...overrides }, headers: { 'x-api-key': SECRETS.API_KEY } });
+}
+
+/**
+ * Card checks + OTP for ACCOUNT's card, then /pre-validate for one transaction.
+ * Returns { pre, body } — body is what the form would send on to /validate-transaction (with checkout_token).
+ */
+async function preValidate(srv, { transaction_id, amount, orderno = `o-${transaction_id}`, ...extra }) {
+  const code = await srv.request('GET', `/get-code?loan_id=${ACCOUNT.loan_id}&contract_expiration=${ACCOUNT.contract_expiration}`, {
+    headers: { 'x-api-key': SECRETS.GET_API_KEY }
+  });
+  const twist = code.body.middle4;
+  const card = { cardNumber: CARD, expiration: '0527', twist, postal: 'H1H1H1' };
+  const derived = await srv.request('POST', '/otp/derive-phone', { body: card });
+  const challenge_id = derived.body.challenge_id;
+  await srv.request('POST', '/otp/send', { body: { challenge_id } });
+
+  const body = { transaction_id, amount: String(amount), orderno, ...card, email: ACCOUNT.email, name: 'Test', challenge_id, ...extra };
+  const pre = await srv.request('POST', '/pre-validate', { body: { ...body, otpCode: '000000' } });
+  return { pre, body: { ...body, checkout_token: pre.body.checkout_token } };
+}
+
+module.exports = {
+  SECRETS,
+  ACCOUNT,
+  CARD,
+  tempDir,
+  dataEnv,
+  startServer,
+  seedAccount,
+  preValidate,
+};
@@ -0,0 +1,45 @@
+// test/i18n.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../lib/i18n');
+const { startServer, seedAccount, CARD } = require('./helpers');
+
+const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([k, v]) =>
+  (v && typeof v === 'object' ? keysOf(v, `${prefix}${k}.`) : [`${prefix}${k}`]));
+
+test('both catalogs carry the same keys', () => {
+  const en = keysOf(require('../public/locales/en-CA.json'));
+  const fr = keysOf(require('../public/locales/fr-CA.json'));
+  assert.deepEqual(fr.sort(), en.sort());
+});
+
+test('language comes from ?lang, then the body, then Accept-Language', () => {
+  const req = (query, body, accept) => ({ query, body, headers: { 'accept-language': accept } });
+  assert.equal(i18n.resolveLang(req({ lang: 'FR_ca' }, {}, 'en')), 'fr-CA');
+  assert.equal(i18n.resolveLang(req({}, { lang: 'fr' }, 'en')), 'fr-CA');
+  assert.equal(i18n.resolveLang(req({}, {}, 'de-DE,fr;q=0.8,en;q=0.9')), 'en-CA');
+  assert.equal(i18n.resolveLang(req({}, {}, 'en;q=0,fr-FR;q=0.5')), 'fr-CA');
+  assert.equal(i18n.resolveLang(req({}, {}, undefined)), 'en-CA');
+});
+
+test('t() fills placeholders and falls back to en-CA', () => {
+  assert.equal(i18n.t('fr-CA', 'errors.OTP_COOLDOWN', { retry_after: 30 }), 'Veuillez patienter 30 s avant de demander un autre code.');
+  assert.equal(i18n.t('fr-CA', 'errors.NOT_A_CODE'), null);
+});
+
+test('coded denials are answered in the caller\'s language', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+  const body = { cardNumber: CARD, expiration: '0527', twist: '0000', postal: 'H1H1H1' };
+
+  const fr = await srv.request('POST', '/otp/derive-phone', { body, headers: { 'Accept-Language': 'fr-CA,fr;q=0.9' } });
+  assert.equal(fr.status, 400);
+  assert.equal(fr.headers.get('content-language'), 'fr-CA');
+  assert.equal(fr.body.code, 'TWIST_MISMATCH');
+  assert.equal(fr.body.message, 'Code TWIST incorrect.');
+
+  const en = await srv.request('POST', '/otp/derive-phone?lang=en', { body, headers: { 'Accept-Language': 'fr' } });
+  assert.equal(en.headers.get('content-language'), 'en-CA');
+  assert.equal(en.body.message, 'TWIST code incorrect.');
+});
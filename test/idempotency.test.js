@@ -0,0 +1,90 @@
+// test/idempotency.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { startServer, seedAccount, preValidate, SECRETS } = require('./helpers');
+
+const validate = (srv, body, key = body.transaction_id) =>
+  srv.request('POST', '/validate-transaction', { body, headers: { 'Idempotency-Key': key } });
+
+test('a denial does not take the idempotency key: the corrected retry runs, then replays', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+  const { body } = await preValidate(srv, { transaction_id: 'tx1', amount: 100 });
+
+  const noToken = await validate(srv, { ...body, checkout_token: undefined });
+  assert.equal(noToken.status, 403);
+  assert.equal(noToken.body.code, 'CHECKOUT_TOKEN_MISSING');
+
+  const wrongTwist = await validate(srv, { ...body, twist: '0000' });
+  assert.equal(wrongTwist.status, 200);
+  assert.equal(wrongTwist.body.ok, false);
+
+  const approved = await validate(srv, body);
+  assert.equal(approved.body.status, 'approved');
+  assert.equal(approved.headers.get('idempotent-replayed'), null);
+
+  const replayed = await validate(srv, body);
+  assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(replayed.body, approved.body);
+
+  const conflict = await validate(srv, { ...body, name: 'Someone Else' });
+  assert.equal(conflict.status, 409);
+});
+
+test('a PLAN_REQUIRED denial can be retried with a plan under the same key', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  fs.writeFileSync(path.join(srv.dir, 'pricing.json'), JSON.stringify({
+    products: { P3: { options: [{ term_months: 3, apr: 0 }] } }
+  }));
+  await seedAccount(srv, { product_code: 'P3' });
+  const { body } = await preValidate(srv, { transaction_id: 'tx1', amount: 90 });
+
+  const noPlan = await validate(srv, body);
+  assert.equal(noPlan.status, 400);
+  assert.equal(noPlan.body.code, 'PLAN_REQUIRED');
+
+  const { transaction_id, amount, orderno, checkout_token } = body;
+  const quote = await srv.request('POST', '/quotes', { body: { transaction_id, amount, orderno, checkout_token } });
+  const [option] = quote.body.options;
+  const withPlan = await validate(srv, { ...body, plan_token: option.plan_token });
+  assert.equal(withPlan.status, 200);
+  assert.equal(withPlan.body.status, 'approved');
+});
+
+test('a key reused on another transaction or with another API key is a new request', async (t) => {
+  const OPS_KEY = 'test-ops-status-key';
+  const srv = await startServer({
+    API_KEYS_JSON: JSON.stringify({
+      keys: [{ id: 'ops', hash: 'sha256:' + crypto.createHash('sha256').update(OPS_KEY).digest('hex'), scopes: ['status:write'] }]
+    })
+  });
+  t.after(() => srv.stop());
+  const headers = { 'x-api-key': SECRETS.API_KEY };
+  for (const id of ['tx-a', 'tx-b']) {
+    await srv.request('POST', '/store-status', { body: { transaction_id: id, status: 'approved', amount: '40' }, headers });
+  }
+  const refund = (id, apiKey = SECRETS.API_KEY) => srv.request('POST', `/transactions/${id}/refund`, {
+    body: { amount: '10' },
+    headers: { 'x-api-key': apiKey, 'Idempotency-Key': 'refund-1' }
+  });
+
+  assert.equal((await refund('tx-a')).body.refunded_amount, 10);
+
+  const other = await refund('tx-b');
+  assert.equal(other.headers.get('idempotent-replayed'), null);
+  assert.equal(other.body.transaction_id, 'tx-b');
+  assert.equal(other.body.refunded_amount, 10);
+
+  const otherKey = await refund('tx-a', OPS_KEY);
+  assert.equal(otherKey.headers.get('idempotent-replayed'), null);
+  assert.equal(otherKey.body.refunded_amount, 20);
+
+  const retry = await refund('tx-a');
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retry.body.refunded_amount, 10);
+});
@@ -0,0 +1,51 @@
+// test/jsonStore.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+process.env.JSON_BACKUP_GENERATIONS = '2';
+const jsonStore = require('../lib/jsonStore');
+const dir = tempDir();
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('writes replace the file atomically and keep backup generations', () => {
+  const file = path.join(dir, 'store.json');
+  assert.deepEqual(jsonStore.readJsonState(file, { empty: true }), { data: { empty: true }, state: 'missing' });
+
+  for (let v = 1; v <= 4; v++) jsonStore.writeJson(file, { v });
+  assert.deepEqual(jsonStore.readJson(file), { v: 4 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak.1`, 'utf-8')), { v: 3 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak.2`, 'utf-8')), { v: 2 });
+  assert.equal(fs.existsSync(`${file}.bak.3`), false);
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.includes('.tmp')), []);
+});
+
+test('a corrupt file is read from the newest good backup but never written over', () => {
+  const file = path.join(dir, 'corrupt.json');
+  jsonStore.writeJson(file, { v: 1 });
+  jsonStore.writeJson(file, { v: 2 });
+  fs.writeFileSync(file, '{"v": 3, "half');
+
+  assert.deepEqual(jsonStore.readJsonState(file), { data: { v: 1 }, state: 'recovered' });
+  assert.throws(() => jsonStore.updateJson(file, (d) => { d.v = 9; }), { code: 'ECORRUPT' });
+  assert.equal(fs.readFileSync(file, 'utf-8'), '{"v": 3, "half');
+
+  fs.writeFileSync(`${file}.bak.1`, 'nope');
+  assert.throws(() => jsonStore.readJson(file), { name: 'JsonStoreError', code: 'ECORRUPT' });
+});
+
+test('updateJson is read-modify-write, can skip the write and refuses re-entrant updates', () => {
+  const file = path.join(dir, 'counter.json');
+  const bump = () => jsonStore.updateJson(file, (d) => { d.n = (d.n || 0) + 1; return { result: d.n }; }, { fallback: {} });
+  assert.equal(bump(), 1);
+  assert.equal(bump(), 2);
+
+  const before = fs.statSync(file).mtimeMs;
+  assert.equal(jsonStore.updateJson(file, () => ({ changed: false, result: 'same' })), 'same');
+  assert.equal(fs.statSync(file).mtimeMs, before);
+
+  assert.throws(() => jsonStore.updateJson(file, () => { bump(); }), { code: 'ELOCKED' });
+  assert.deepEqual(jsonStore.readJson(file), { n: 2 });
+});
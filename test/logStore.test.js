@@ -0,0 +1,74 @@
+// test/logStore.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { tempDir, startServer } = require('./helpers');
+
+const dir = tempDir();
+const LOG = path.join(dir, 'webhook_logs.txt');
+const FALLBACK = path.join(dir, 'webhook_logs_fallback.txt');
+const LOOKUP = path.join(dir, 'lookup_store.jsonl');
+Object.assign(process.env, {
+  LOG_FILE_PATH: LOG,
+  LOG_FALLBACK_PATH: FALLBACK,
+  LOG_ARCHIVE_DIR: path.join(dir, 'log_archive'),
+  LOOKUP_STORE_PATH: LOOKUP,
+  LOOKUP_STORE_KEY: '44'.repeat(32),
+});
+const logStore = require('../lib/logStore');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const loan = `L${crypto.randomInt(1e8, 1e9)}`;
+const phone = `514${crypto.randomInt(1e6, 1e7)}`;
+const email = `${loan.toLowerCase()}@example.com`;
+const line = (at, payload) => `[${at}] Incoming POST /store-status: ${JSON.stringify(payload)}\n`;
+
+test('lookups by loan suffix, phone and email return the newest entries first', () => {
+  logStore.init();
+  fs.appendFileSync(LOG, line('2026-01-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, phone, email, available_credit: 100 }));
+  fs.appendFileSync(LOG, line('2026-03-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, phone: `+1${phone}`, email: email.toUpperCase(), available_credit: 300 }));
+  fs.appendFileSync(LOG, line('2026-02-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, phone, email, available_credit: 200 }));
+
+  const credits = (entries) => entries.map(e => e.payload.available_credit);
+  assert.deepEqual(credits(logStore.byLoanIdEndsWith(loan.slice(-6))), [300, 200, 100]);
+  assert.deepEqual(credits(logStore.byPhoneLast10(phone)), [300, 200, 100]);
+  assert.deepEqual(credits(logStore.byEmail(email)), [300, 200, 100]);
+  assert.equal(logStore.byLoanIdEndsWith(loan.slice(-6))[0].timestamp, '2026-03-01T00:00:00.000Z');
+  assert.deepEqual(logStore.byEmail('nobody@example.com'), []);
+});
+
+test('lines appended by another writer are picked up, a partial last line only once complete', () => {
+  const next = line('2026-04-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, available_credit: 400 });
+  fs.appendFileSync(LOG, next.slice(0, 40));
+  assert.equal(logStore.byLoanIdEndsWith(loan.slice(-6))[0].payload.available_credit, 300);
+  fs.appendFileSync(LOG, next.slice(40));
+  assert.equal(logStore.byLoanIdEndsWith(loan.slice(-6))[0].payload.available_credit, 400);
+});
+
+test('a truncated log is re-read from scratch', () => {
+  fs.writeFileSync(LOG, line('2026-05-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, available_credit: 500 }));
+  assert.deepEqual(logStore.byLoanIdEndsWith(loan.slice(-6)).map(e => e.payload.available_credit), [500]);
+});
+
+test('pruning carries an old line into the lookup store once, even when both log files hold it', () => {
+  const both = line('2020-01-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, available_credit: 600 });
+  const fallbackOnly = line('2020-01-02T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, available_credit: 700 });
+  const recent = line('2026-10-01T00:00:00.000Z', { transaction_id: 'n/a', loan_id: loan, available_credit: 800 });
+  fs.writeFileSync(LOG, both + recent);
+  fs.writeFileSync(FALLBACK, both + fallbackOnly + recent);
+
+  const r = logStore.pruneLogs(Date.parse('2026-10-19T00:00:00.000Z'));
+  assert.equal(r.carried, 2);
+  assert.equal(r.removed, 3);
+  assert.deepEqual(r.lookup, { kept: 1, dropped: 1 }); // compaction keeps only the loan's newest aged-out entry
+  assert.equal(fs.readFileSync(LOG, 'utf-8'), recent);
+  assert.deepEqual(logStore.byLoanIdEndsWith(loan.slice(-6)).map(e => e.payload.available_credit), [800, 700]);
+});
+
+test('the server refuses to start with log redaction on and no LOOKUP_STORE_KEY', async () => {
+  await assert.rejects(startServer({ LOOKUP_STORE_KEY: '' }), /LOOKUP_STORE_KEY is not set/);
+  const srv = await startServer({ LOOKUP_STORE_KEY: '', LOG_REDACTION: 'off' });
+  await srv.stop();
+});
@@ -0,0 +1,66 @@
+// test/merchants.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const MERCHANTS_JSON = JSON.stringify({
+  merchants: [
+    { id: 'shop', origins: ['https://shop.example', 'https://WWW.shop.example/checkout'] },
+    { id: 'other', origins: ['https://other.example'] },
+    { id: 'closed', origins: ['https://closed.example'], disabled: true },
+  ]
+});
+
+test('only registered merchant origins get CORS headers', async (t) => {
+  const srv = await startServer({ MERCHANTS_JSON });
+  t.after(() => srv.stop());
+  const allowOrigin = async (origin) => (await srv.request('GET', '/healthz', { headers: { Origin: origin } }))
+    .headers.get('access-control-allow-origin');
+
+  assert.equal(await allowOrigin('https://shop.example'), 'https://shop.example');
+  assert.equal(await allowOrigin('https://www.shop.example'), 'https://www.shop.example');
+  assert.equal(await allowOrigin('https://evil.example'), null);
+  assert.equal(await allowOrigin('https://closed.example'), null);
+
+  const preflight = await srv.request('OPTIONS', '/pre-validate', {
+    headers: { Origin: 'https://other.example', 'Access-Control-Request-Method': 'POST' }
+  });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://other.example');
+});
+
+test('the hosted form may only be framed by the origin its embed token was issued to', async (t) => {
+  const srv = await startServer({ MERCHANTS_JSON });
+  t.after(() => srv.stop());
+  const csp = (resp) => Object.fromEntries(resp.headers.get('content-security-policy').split('; ').map(d => {
+    const [name, ...values] = d.split(' ');
+    return [name, values.join(' ')];
+  }));
+  const embedToken = (origin, merchant = '') => srv.request('GET', `/embed-token${merchant && `?merchant=${merchant}`}`, { headers: { Origin: origin } });
+
+  assert.equal((await embedToken('https://evil.example')).status, 403);
+  assert.equal((await embedToken('https://other.example', 'shop')).status, 403);
+  assert.equal((await embedToken('https://closed.example')).status, 403);
+  const issued = await embedToken('https://www.shop.example');
+  assert.equal(issued.status, 200);
+  assert.equal(issued.body.merchant_id, 'shop');
+
+  // A direct link (no token) can't be framed at all
+  const direct = await srv.request('GET', '/twistpay-form');
+  assert.equal(direct.status, 200);
+  assert.equal(csp(direct)['frame-ancestors'], "'none'");
+  const nonce = csp(direct)['script-src'].match(/^'nonce-(.+)'$/)[1];
+  assert.ok(direct.body.includes(`<script nonce="${nonce}"`));
+
+  const framed = await srv.request('GET', `/twistpay-form?merchant=shop&et=${encodeURIComponent(issued.body.embed_token)}`);
+  assert.equal(framed.status, 200);
+  assert.equal(csp(framed)['frame-ancestors'], 'https://www.shop.example');
+
+  const wrongMerchant = await srv.request('GET', `/twistpay-form?merchant=other&et=${encodeURIComponent(issued.body.embed_token)}`);
+  assert.equal(wrongMerchant.status, 403);
+  assert.equal((await srv.request('GET', '/twistpay-form?et=forged.token')).status, 403);
+
+  const file = await fetch(`${srv.base}/public/twistpay-form.html?merchant=shop`, { redirect: 'manual' });
+  assert.equal(file.status, 301);
+  assert.equal(file.headers.get('location'), '/twistpay-form?merchant=shop');
+});
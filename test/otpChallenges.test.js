@@ -0,0 +1,47 @@
+// test/otpChallenges.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const otpChallenges = require('../lib/otpChallenges');
+const { startServer, seedAccount, preValidate } = require('./helpers');
+
+// Accepts 123456; counts provider checks
+function fakeProvider() {
+  const p = {
+    checks: 0,
+    send: async () => ({ success: true }),
+    verify: async (_phone, code) => { p.checks++; return { success: code === '123456' }; }
+  };
+  return p;
+}
+
+test('a verified challenge stays valid for its own transaction only', async () => {
+  const provider = fakeProvider();
+  const c = otpChallenges.create({ phone: '+15145551234', loanId: 'L1', cardLast6: '123456' });
+  assert.equal((await otpChallenges.send(c.id, provider)).ok, true);
+
+  // /otp/verify-proxy: no transaction yet
+  assert.equal((await otpChallenges.verify(c.id, '123456', provider)).ok, true);
+  assert.equal((await otpChallenges.verify(c.id, '123456', provider, { transactionId: 'tx1' })).ok, true);
+  assert.equal((await otpChallenges.verify(c.id, '123456', provider, { transactionId: 'tx1' })).ok, true);
+  assert.equal(provider.checks, 1);
+
+  assert.deepEqual(await otpChallenges.verify(c.id, '123456', provider, { transactionId: 'tx2' }), { ok: false, reason: 'used' });
+  assert.equal(provider.checks, 1);
+});
+
+test('/pre-validate will not reuse one OTP verification for a second transaction', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const first = await preValidate(srv, { transaction_id: 'tx1', amount: 50 });
+  assert.equal(first.pre.body.ok, true);
+
+  const { checkout_token, ...body } = first.body;
+  const other = await srv.request('POST', '/pre-validate', { body: { ...body, transaction_id: 'tx2', orderno: 'o-tx2', otpCode: '000000' } });
+  assert.equal(other.body.ok, false);
+  assert.equal(other.body.code, 'OTP_USED');
+
+  const same = await srv.request('POST', '/pre-validate', { body: { ...body, otpCode: '000000' } });
+  assert.equal(same.body.ok, true);
+});
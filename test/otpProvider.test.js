@@ -0,0 +1,53 @@
+// test/otpProvider.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const otpProvider = require('../lib/otpProvider');
+const { startServer } = require('./helpers');
+
+function withNodeEnv(t, value) {
+  const before = process.env.NODE_ENV;
+  if (value === undefined) delete process.env.NODE_ENV;
+  else process.env.NODE_ENV = value;
+  t.after(() => {
+    if (before === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = before;
+  });
+}
+
+test('the local provider hands codes to the deliver hook it was given', async () => {
+  assert.throws(() => otpProvider.createLocalProvider(), /deliver/);
+
+  const delivered = [];
+  const p = otpProvider.createLocalProvider({ deliver: (phone, code) => delivered.push({ phone, code }) });
+  assert.equal((await p.send('+15145551234')).success, true);
+  assert.equal(delivered.length, 1);
+  assert.match(delivered[0].code, /^\d{6}$/);
+  assert.equal((await p.verify('+15145551234', delivered[0].code)).success, true);
+});
+
+test('OTP_PROVIDER=local is refused in production, and never logs the full phone elsewhere', async (t) => {
+  withNodeEnv(t, 'production');
+  assert.throws(() => otpProvider.createOtpProvider('local'), /production/);
+  assert.equal(otpProvider.createOtpProvider('local', { deliver: () => {} }).name, 'local');
+
+  process.env.NODE_ENV = 'development';
+  const lines = [];
+  t.mock.method(console, 'log', (line) => lines.push(line));
+  await otpProvider.createOtpProvider('local').send('+15145551234');
+  assert.equal(lines.length, 1);
+  assert.doesNotMatch(lines[0], /514555/);
+});
+
+test('the fixed-code test provider only runs with NODE_ENV=test', (t) => {
+  withNodeEnv(t, 'production');
+  assert.throws(() => otpProvider.createOtpProvider('test'), /NODE_ENV=test/);
+  delete process.env.NODE_ENV;
+  assert.throws(() => otpProvider.createOtpProvider('test'), /NODE_ENV=test/);
+  process.env.NODE_ENV = 'test';
+  assert.equal(otpProvider.createOtpProvider('test').name, 'test');
+});
+
+test('the server refuses to start with an OTP provider it may not use', async () => {
+  await assert.rejects(startServer({ NODE_ENV: 'production', OTP_PROVIDER: 'test' }), /server exited[\s\S]*NODE_ENV=test/);
+  await assert.rejects(startServer({ NODE_ENV: 'production', OTP_PROVIDER: 'local' }), /server exited[\s\S]*production/);
+});
@@ -0,0 +1,59 @@
+// test/pricing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const pricing = require('../lib/pricing');
+const { startServer, seedAccount, preValidate } = require('./helpers');
+
+const quoteBody = ({ transaction_id, amount, orderno, checkout_token }) => ({ transaction_id, amount, orderno, checkout_token });
+
+test('the shipped config offers no installment terms', () => {
+  assert.deepEqual(pricing.optionsFor(100, null), []);
+  assert.deepEqual(pricing.optionsFor(100, 'default'), []);
+  assert.deepEqual(pricing.optionsFor(100, 'EXAMPLE_PRODUCT'), []);
+});
+
+test('without configured terms the plan step is skipped and the payment goes through', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv, { product_code: 'P12' });
+  const { pre, body } = await preValidate(srv, { transaction_id: 'tx1', amount: 100 });
+  assert.equal(pre.body.installments, false);
+
+  const approved = await srv.request('POST', '/validate-transaction', { body });
+  assert.equal(approved.body.status, 'approved');
+});
+
+test('plan tokens are quoted for one verified transaction and loan', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  fs.writeFileSync(path.join(srv.dir, 'pricing.json'), JSON.stringify({
+    products: { P12: { options: [{ term_months: 12, apr: 19.99 }] } }
+  }));
+  // product_code survives log redaction (it is kept in the encrypted lookup store)
+  await seedAccount(srv, { product_code: 'P12' });
+
+  const first = await preValidate(srv, { transaction_id: 'tx1', amount: 100 });
+  assert.equal(first.pre.body.product_code, 'P12');
+  assert.equal(first.pre.body.installments, true);
+
+  const anonymous = await srv.request('POST', '/quotes', { body: { amount: '100', product_code: 'P12' } });
+  assert.equal(anonymous.status, 403);
+  assert.equal(anonymous.body.code, 'CHECKOUT_TOKEN_MISSING');
+
+  const quote = await srv.request('POST', '/quotes', { body: quoteBody(first.body) });
+  assert.equal(quote.status, 200);
+  assert.equal(quote.body.product_code, 'P12');
+  const [option] = quote.body.options;
+  assert.equal(option.term_months, 12);
+
+  // Same amount and product, other transaction: the plan doesn't carry over
+  const second = await preValidate(srv, { transaction_id: 'tx2', amount: 100 });
+  const reused = await srv.request('POST', '/validate-transaction', { body: { ...second.body, plan_token: option.plan_token } });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.code, 'PLAN_INVALID');
+
+  const approved = await srv.request('POST', '/validate-transaction', { body: { ...first.body, plan_token: option.plan_token } });
+  assert.equal(approved.body.status, 'approved');
+});
@@ -0,0 +1,78 @@
+// test/rules.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, SECRETS } = require('./helpers');
+
+const dir = tempDir();
+Object.assign(process.env, {
+  LOG_FILE_PATH: path.join(dir, 'webhook_logs.txt'),
+  LOOKUP_STORE_PATH: path.join(dir, 'lookup_store.jsonl'),
+  CREDIT_LEDGER_PATH: path.join(dir, 'credit_ledger.json'),
+  TWIST_CODE_PATH: path.join(dir, 'code.json'),
+  TWIST_CODE_KEK: SECRETS.TWIST_CODE_KEK,
+  TWIST_CODE_HMAC_KEY: SECRETS.TWIST_CODE_HMAC_KEY,
+});
+const account = {
+  loan_id: 'L00654321', contract_expiration: '2027-05-01', phone: '5145550000', email: 'rules@example.com',
+  postal_code: 'H2H 2H2', province: 'QC', available_credit: 300,
+};
+fs.writeFileSync(process.env.LOG_FILE_PATH, `[2026-01-01T00:00:00.000Z] /store-status: ${JSON.stringify(account)}\n`);
+
+const rules = require('../lib/rules');
+const twistCodes = require('../lib/twistCodes');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const twist = twistCodes.middle4Of(twistCodes.getOrGenerateTwistCode(account.loan_id, account.contract_expiration));
+const input = (over = {}) => ({
+  cardNumber: '7146 1567 6543 21', expiration: '05/27', twist, postal: 'h2h2h2', email: account.email,
+  phone: '(514) 555-0000', province: 'qc', amount: '100', ...over
+});
+const names = (r) => r.checks.map(c => c.name);
+
+test('each profile runs only its own checks, in the shared order', async () => {
+  const derive = await rules.runProfile('derive-phone', input({ phone: '4165559999', amount: '' }));
+  assert.equal(derive.ok, true);
+  assert.equal(derive.loanId, account.loan_id);
+  assert.deepEqual(names(derive), rules.PROFILES['derive-phone'].checks);
+
+  const validate = await rules.runProfile('validate-transaction', input());
+  assert.equal(validate.ok, true);
+  assert.equal(validate.availableCredit, 300);
+  assert.deepEqual(names(validate), rules.PROFILES['validate-transaction'].checks);
+
+  await assert.rejects(rules.runProfile('nope', input()), /Unknown validation profile/);
+});
+
+test('the first failing check stops the run and says whether it was a guess', async () => {
+  const expiry = await rules.runProfile('pre-validate', input({ expiration: '0628' }));
+  assert.deepEqual(expiry.failure, {
+    check: 'expiry', code: 'EXPIRY_MISMATCH', field: 'expiration', message: 'Expiration does not match contract.', guess: true
+  });
+  assert.deepEqual(names(expiry), ['card_length', 'bin', 'loan_match', 'expiry']);
+
+  const format = await rules.runProfile('pre-validate', input({ twist: '12' }));
+  assert.equal(format.failure.code, 'TWIST_FORMAT');
+  assert.equal(format.failure.guess, false);
+
+  const phone = await rules.runProfile('validate-transaction', input({ phone: '4165559999' }));
+  assert.equal(phone.failure.code, 'PHONE_MISMATCH');
+
+  const credit = await rules.runProfile('validate-transaction', input({ amount: '300.01' }));
+  assert.equal(credit.failure.code, 'CREDIT_EXCEEDED');
+  assert.equal(credit.failure.field, 'amount');
+});
+
+test('only pre-validate asks the OTP dependency, with the loan and card it matched', async () => {
+  const calls = [];
+  const verifyOtp = async (args) => { calls.push(args); return { ok: false, code: 'OTP_INVALID', message: 'OTP invalid or expired.' }; };
+
+  const pre = await rules.runProfile('pre-validate', input({ otpCode: '123456' }), { verifyOtp });
+  assert.equal(pre.failure.check, 'otp');
+  assert.equal(pre.failure.guess, true);
+  assert.deepEqual(calls.map(c => [c.loanId, c.cardLast6]), [[account.loan_id, '654321']]);
+
+  await rules.runProfile('validate-transaction', input(), { verifyOtp });
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,47 @@
+// test/signedToken.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const signedToken = require('../lib/signedToken');
+const { startServer, seedAccount, preValidate } = require('./helpers');
+
+test('tokens only verify for their own type and until they expire', () => {
+  const token = signedToken.issue('checkout', { transaction_id: 'tx1' }, 60);
+  const v = signedToken.verify(token, 'checkout');
+  assert.equal(v.ok, true);
+  assert.equal(v.claims.transaction_id, 'tx1');
+
+  assert.deepEqual(signedToken.verify(token, 'plan'), { ok: false, reason: 'type' });
+  assert.deepEqual(signedToken.verify(token, 'checkout', Date.now() + 61 * 1000), { ok: false, reason: 'expired' });
+  assert.deepEqual(signedToken.verify('', 'checkout'), { ok: false, reason: 'missing' });
+  assert.deepEqual(signedToken.verify('abc', 'checkout'), { ok: false, reason: 'malformed' });
+  const [body] = token.split('.');
+  assert.deepEqual(signedToken.verify(`${body}.${Buffer.alloc(32).toString('base64url')}`, 'checkout'), { ok: false, reason: 'signature' });
+});
+
+test('/validate-transaction only runs with the token /pre-validate issued for those exact values', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const { pre, body } = await preValidate(srv, { transaction_id: 'tx-token-1', amount: 100 });
+  assert.equal(pre.body.ok, true);
+  assert.ok(pre.body.checkout_token);
+
+  // A fresh Idempotency-Key per attempt: denials are stored against the transaction id like any other answer
+  const attempt = (n, b) => srv.request('POST', '/validate-transaction', { body: b, headers: { 'Idempotency-Key': `attempt-${n}` } });
+  const { checkout_token, ...withoutToken } = body;
+  const missing = await attempt(1, withoutToken);
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, 'CHECKOUT_TOKEN_MISSING');
+
+  const forged = await attempt(2, { ...body, checkout_token: `${checkout_token}x` });
+  assert.equal(forged.body.code, 'CHECKOUT_TOKEN_INVALID');
+
+  const raised = await attempt(3, { ...body, amount: '400' });
+  assert.equal(raised.status, 403);
+  assert.equal(raised.body.code, 'CHECKOUT_MISMATCH');
+
+  const approved = await attempt(4, body);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, 'approved');
+});
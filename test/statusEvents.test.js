@@ -0,0 +1,74 @@
+// test/statusEvents.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, SECRETS } = require('./helpers');
+
+const storeStatus = (srv, transaction_id, status) => srv.request('POST', '/store-status', {
+  body: { transaction_id, status },
+  headers: { 'x-api-key': SECRETS.API_KEY }
+});
+
+// Opens the SSE stream; next() resolves with the next `status` event's data
+function openStream(srv, id) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${srv.base}/transactions/${id}/events`, { headers: { Accept: 'text/event-stream' } }, (res) => {
+      const events = [];
+      const waiting = [];
+      let buf = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let end;
+        while ((end = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, end);
+          buf = buf.slice(end + 2);
+          const data = block.match(/^event: status\ndata: (.*)$/m);
+          if (data) events.push(JSON.parse(data[1]));
+          while (waiting.length && events.length) waiting.shift()(events.shift());
+        }
+      });
+      resolve({
+        res,
+        next: () => new Promise((done) => (events.length ? done(events.shift()) : waiting.push(done))),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('long-poll reports unknown ids and answers as soon as the status changes', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const first = await srv.request('GET', '/transactions/tx-poll-1/events');
+  assert.deepEqual(first.body, { success: true, changed: false, transaction_id: 'tx-poll-1', status: 'unknown', updated_at: null });
+
+  const waiting = srv.request('GET', '/transactions/tx-poll-1/events?since=unknown&timeout=10');
+  await new Promise((r) => setTimeout(r, 100));
+  assert.equal((await storeStatus(srv, 'tx-poll-1', 'approved')).status, 200);
+  const changed = (await waiting).body;
+  assert.equal(changed.changed, true);
+  assert.equal(changed.status, 'approved');
+  assert.ok(changed.updated_at);
+
+  const timedOut = await srv.request('GET', '/transactions/tx-poll-1/events?since=approved&timeout=1');
+  assert.equal(timedOut.body.changed, false);
+  assert.equal(timedOut.body.status, 'approved');
+});
+
+test('the SSE stream sends the current status, then every change', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const stream = await openStream(srv, 'tx-sse-1');
+  t.after(() => stream.close());
+  assert.equal(stream.res.headers['content-type'], 'text/event-stream');
+  assert.equal((await stream.next()).status, 'unknown');
+
+  await storeStatus(srv, 'tx-sse-1', 'pending');
+  assert.equal((await stream.next()).status, 'pending');
+  await storeStatus(srv, 'tx-sse-1', 'approved');
+  assert.equal((await stream.next()).status, 'approved');
+});
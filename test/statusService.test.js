@@ -0,0 +1,67 @@
+// test/statusService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, seedAccount, preValidate, SECRETS, ACCOUNT } = require('./helpers');
+
+const holds = (srv) => {
+  const ledger = JSON.parse(fs.readFileSync(path.join(srv.dir, 'credit_ledger.json'), 'utf-8'));
+  return ledger.loans.L00123456.entries.filter(e => e.type === 'hold').map(e => e.transaction_id);
+};
+
+test('/store-status still records statuses when TWIST code keys are not configured', async (t) => {
+  const srv = await startServer({ TWIST_CODE_KEK: '', TWIST_CODE_HMAC_KEY: '' });
+  t.after(() => srv.stop());
+  const headers = { 'x-api-key': SECRETS.API_KEY };
+
+  assert.equal((await seedAccount(srv)).status, 200);
+  const r = await srv.request('POST', '/store-status', { body: { transaction_id: 'tx9', status: 'approved', loan_id: 'L00123456', contract_expiration: '2027-05-01' }, headers });
+  assert.equal(r.status, 200);
+  const status = await srv.request('GET', '/check-status?transaction_id=tx9', { headers: { 'x-api-key': SECRETS.GET_API_KEY } });
+  assert.equal(status.body.status, 'approved');
+});
+
+test('recording an approval keeps its own hold and earlier holds in the credit ledger', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  for (const [id, amount] of [['tx1', 100], ['tx2', 50]]) {
+    const { body } = await preValidate(srv, { transaction_id: id, amount });
+    const r = await srv.request('POST', '/validate-transaction', { body });
+    assert.equal(r.body.status, 'approved');
+  }
+  assert.deepEqual(holds(srv), ['tx1', 'tx2']);
+
+  // Voiding tx1 gives back exactly its 100
+  const voided = await srv.request('POST', '/transactions/tx1/void', { body: {}, headers: { 'x-api-key': SECRETS.API_KEY } });
+  assert.equal(voided.status, 200);
+  const { pre } = await preValidate(srv, { transaction_id: 'tx3', amount: 450 });
+  assert.equal(pre.body.ok, true);
+  const over = await preValidate(srv, { transaction_id: 'tx4', amount: 451 });
+  assert.equal(over.pre.body.code, 'CREDIT_EXCEEDED');
+
+  // A new upstream snapshot is the new base; an account update right after our approvals may not count them yet
+  await seedAccount(srv, { available_credit: 300 });
+  assert.deepEqual(holds(srv), ['tx1', 'tx2']);
+  await seedAccount(srv, { transaction_id: 'tx2', status: 'approved', available_credit: 300 });
+  assert.deepEqual(holds(srv), []);
+});
+
+test('a status is not reported as recorded when the payload index cannot be written', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const headers = { 'x-api-key': SECRETS.API_KEY };
+  // A directory where the index file should be: every index write fails
+  fs.mkdirSync(path.join(srv.dir, 'payload_index.json'));
+
+  const r = await srv.request('POST', '/store-status', { body: { ...ACCOUNT, transaction_id: 'tx5', status: 'approved' }, headers });
+  assert.equal(r.status, 500);
+  const status = await srv.request('GET', '/check-status?transaction_id=tx5', { headers: { 'x-api-key': SECRETS.GET_API_KEY } });
+  assert.notEqual(status.body.status, 'approved');
+
+  const log = fs.readFileSync(path.join(srv.dir, 'webhook_logs.txt'), 'utf-8').trim().split('\n');
+  assert.match(log.at(-2), /Incoming POST \/store-status: .*"transaction_id":"tx5"/);
+  assert.match(log.at(-1), /Incoming POST \/store-status \(not recorded: payload index failed\): .*"transaction_id":"tx5"/);
+});
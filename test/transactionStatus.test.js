@@ -0,0 +1,40 @@
+// test/transactionStatus.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seedAccount, preValidate, SECRETS } = require('./helpers');
+
+test('a transaction id that was already approved cannot be pre-validated or approved again', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  const first = await preValidate(srv, { transaction_id: 'tx1', amount: 100 });
+  assert.equal(first.pre.body.ok, true);
+  const approved = await srv.request('POST', '/validate-transaction', { body: first.body });
+  assert.equal(approved.body.status, 'approved');
+
+  const again = await preValidate(srv, { transaction_id: 'tx1', amount: 100 });
+  assert.equal(again.pre.status, 409);
+  assert.equal(again.pre.body.code, 'TRANSACTION_EXISTS');
+
+  // An old checkout token for the same id is refused too (different body, so no idempotent replay)
+  const replay = await srv.request('POST', '/validate-transaction', {
+    body: { ...first.body, name: 'Someone Else' },
+    headers: { 'Idempotency-Key': 'other-key' }
+  });
+  assert.equal(replay.status, 409);
+  assert.equal(replay.body.code, 'TRANSACTION_EXISTS');
+
+  const status = await srv.request('GET', '/check-status?transaction_id=tx1', { headers: { 'x-api-key': SECRETS.GET_API_KEY } });
+  assert.equal(status.body.status, 'approved');
+
+});
+
+test('a pending transaction can still be pre-validated again', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  await seedAccount(srv);
+
+  assert.equal((await preValidate(srv, { transaction_id: 'tx2', amount: 10 })).pre.body.ok, true);
+  assert.equal((await preValidate(srv, { transaction_id: 'tx2', amount: 10 })).pre.body.ok, true);
+});
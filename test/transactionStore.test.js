@@ -0,0 +1,47 @@
+// test/transactionStore.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+process.env.TX_STORE_PATH = path.join(dir, 'transactions.jsonl');
+process.env.TX_SNAPSHOT_PATH = path.join(dir, 'transactions_snapshot.json');
+process.env.TX_COMPACT_EVERY = '3';
+const transactionStore = require('../lib/transactionStore');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('statuses and their history survive a reload', () => {
+  transactionStore.load();
+  transactionStore.recordTransactionStatus('tx1', 'pending', { source: '/pre-validate', orderno: 'o1', amount: '12.50', loan_id: 'L1' });
+  transactionStore.recordTransactionStatus('tx1', 'approved', { source: '/validate-transaction' });
+
+  transactionStore.load(); // what a restart does
+  const tx = transactionStore.getTransaction('tx1');
+  assert.equal(tx.status, 'approved');
+  assert.equal(tx.orderno, 'o1');
+  assert.equal(tx.amount, 12.5);
+  assert.equal(tx.loan_id, 'L1');
+  assert.deepEqual(tx.history.map(h => h.status), ['pending', 'approved']);
+  assert.equal(transactionStore.getStatus('missing'), null);
+});
+
+test('compaction snapshots the state and the journal replays on top of it', () => {
+  // tx1's two journal lines + this one reach TX_COMPACT_EVERY
+  transactionStore.recordTransactionStatus('tx2', 'pending');
+  assert.equal(fs.readFileSync(process.env.TX_STORE_PATH, 'utf-8'), '');
+  assert.ok(fs.existsSync(process.env.TX_SNAPSHOT_PATH));
+
+  transactionStore.recordTransactionStatus('tx2', 'voided');
+  transactionStore.load();
+  assert.equal(transactionStore.getStatus('tx1'), 'approved');
+  assert.equal(transactionStore.getStatus('tx2'), 'voided');
+});
+
+test('a torn last journal line from a crash is skipped', () => {
+  fs.appendFileSync(process.env.TX_STORE_PATH, '{"seq":99,"transaction_id":"tx3","sta');
+  transactionStore.load();
+  assert.equal(transactionStore.getStatus('tx3'), null);
+  assert.equal(transactionStore.getStatus('tx2'), 'voided');
+});
@@ -0,0 +1,57 @@
+// test/twistCodes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+const dir = tempDir();
+process.env.TWIST_CODE_PATH = path.join(dir, 'code.json');
+process.env.TWIST_CODE_KEK = '11'.repeat(32);
+process.env.TWIST_CODE_HMAC_KEY = '22'.repeat(32);
+const twistCodes = require('../lib/twistCodes');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const onDisk = () => fs.readFileSync(process.env.TWIST_CODE_PATH, 'utf-8');
+
+test('codes are generated once per loan and expiration and stored encrypted', () => {
+  const code = twistCodes.getOrGenerateTwistCode('LN-1001', '0328');
+  assert.match(code, /^\d{12}$/);
+  assert.equal(twistCodes.getOrGenerateTwistCode('LN-1001', '0328'), code);
+  assert.notEqual(twistCodes.getOrGenerateTwistCode('LN-1002', '0328'), code);
+
+  const raw = onDisk();
+  assert.equal(JSON.parse(raw).version, 2);
+  assert.equal(raw.includes(code), false);
+  assert.equal(raw.includes('LN-1001'), false);
+
+  assert.deepEqual(twistCodes.lookupTwistCode('LN-1001', '03/28'), { twistcode: code, usedExpiration: '0328' });
+  assert.equal(twistCodes.reverseFindKeyByCode(code), twistCodes.codeKey('LN-1001', '0328'));
+  assert.equal(twistCodes.lookupTwistCode('LN-1001', '0429'), null);
+});
+
+test('GET responses only carry the middle four digits', () => {
+  assert.equal(twistCodes.middle4Of('123456789012'), '5678');
+  assert.equal(twistCodes.maskCode('123456789012'), '****5678****');
+  assert.equal(twistCodes.maskCode('1234'), null);
+});
+
+test('a plaintext code.json is refused until it is migrated', () => {
+  const known = '111122223333';
+  const orphan = '444455556666';
+  fs.writeFileSync(process.env.TWIST_CODE_PATH, JSON.stringify({
+    [twistCodes.legacyCodeKey('LN-2001', '0327')]: known,
+    [twistCodes.legacyCodeKey('LN-2002', '0327')]: orphan,
+  }));
+  assert.throws(() => twistCodes.lookupTwistCode('LN-2001', '0327'), { code: 'EMIGRATE' });
+
+  assert.deepEqual(twistCodes.migratePlaintextFile([['LN-2001', '0327']]), { migrated: 1, legacy: 1, alreadyMigrated: false });
+  assert.equal(onDisk().includes(known), false);
+  assert.equal(onDisk().includes(orphan), false);
+  assert.equal(twistCodes.lookupTwistCode('LN-2001', '0327').twistcode, known);
+  // Unknown pairs stay under `legacy` until a lookup supplies the loan and expiration
+  assert.equal(twistCodes.lookupTwistCode('LN-2002', '0327').twistcode, orphan);
+  assert.equal(twistCodes.reverseFindKeyByCode(orphan), twistCodes.codeKey('LN-2002', '0327'));
+
+  assert.equal(twistCodes.migratePlaintextFile([]).alreadyMigrated, true);
+});
@@ -0,0 +1,73 @@
+// test/webhookSignature.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webhookSignature = require('../lib/webhookSignature');
+const { startServer, SECRETS, ACCOUNT } = require('./helpers');
+
+const SECRET = 'whsec_fixed_test_secret';
+const BODY = '{"transaction_id":"tx1","status":"approved"}';
+const NOW = 1760000000 * 1000;
+const signed = (opts = {}) => webhookSignature.sign(SECRET, BODY, { timestamp: NOW / 1000, nonce: 'nonce-1', ...opts });
+
+test('sign produces the documented header for fixed inputs', () => {
+  const header = signed();
+  const { t, n, v1 } = webhookSignature.parseHeader(header);
+  assert.equal(t, String(NOW / 1000));
+  assert.equal(n, 'nonce-1');
+  assert.match(v1[0], /^[0-9a-f]{64}$/);
+  assert.equal(signed(), header);
+});
+
+test('verify accepts a valid signature and any of several rotated secrets', () => {
+  assert.deepEqual(webhookSignature.verify(signed(), BODY, { secrets: [SECRET], now: NOW }), { ok: true });
+  assert.deepEqual(webhookSignature.verify(signed(), BODY, { secrets: ['old', SECRET], now: NOW }), { ok: true });
+});
+
+test('verify rejects missing, malformed, tampered and wrong-secret signatures', () => {
+  const opts = { secrets: [SECRET], now: NOW };
+  assert.equal(webhookSignature.verify('', BODY, opts).reason, 'missing');
+  assert.equal(webhookSignature.verify('t=abc,v1=00', BODY, opts).reason, 'malformed');
+  assert.equal(webhookSignature.verify(signed(), BODY.replace('approved', 'denied'), opts).reason, 'mismatch');
+  assert.equal(webhookSignature.verify(signed(), BODY, { ...opts, secrets: ['other'] }).reason, 'mismatch');
+});
+
+test('verify rejects timestamps outside the tolerance window', () => {
+  const opts = { secrets: [SECRET], toleranceSeconds: 300 };
+  assert.equal(webhookSignature.verify(signed(), BODY, { ...opts, now: NOW + 301 * 1000 }).reason, 'stale');
+  assert.equal(webhookSignature.verify(signed(), BODY, { ...opts, now: NOW - 301 * 1000 }).reason, 'stale');
+  assert.equal(webhookSignature.verify(signed(), BODY, { ...opts, now: NOW + 299 * 1000 }).ok, true);
+});
+
+test('a nonce is accepted once, and only remembered once the signature checks out', () => {
+  const nonceCache = webhookSignature.createNonceCache(10);
+  const opts = { secrets: [SECRET], now: NOW, nonceCache };
+  assert.equal(webhookSignature.verify(signed(), 'forged', opts).reason, 'mismatch');
+  assert.equal(webhookSignature.verify(signed(), BODY, opts).ok, true);
+  assert.equal(webhookSignature.verify(signed(), BODY, opts).reason, 'replay');
+  assert.equal(webhookSignature.verify(signed({ nonce: 'nonce-2' }), BODY, opts).ok, true);
+});
+
+test('/store-status verifies signatures over the raw body', async (t) => {
+  const srv = await startServer({ WEBHOOK_SIGNING_SECRETS: SECRET, WEBHOOK_SIGNATURE_REQUIRED: 'true' });
+  t.after(() => srv.stop());
+  const headers = { 'x-api-key': SECRETS.API_KEY };
+  // Spacing the parser would normalize away: the signature must cover the bytes as sent
+  const raw = JSON.stringify(ACCOUNT, null, 1);
+
+  const unsigned = await srv.request('POST', '/store-status', { rawBody: raw, headers });
+  assert.equal(unsigned.status, 401);
+
+  const good = webhookSignature.sign(SECRET, raw);
+  const ok = await srv.request('POST', '/store-status', { rawBody: raw, headers: { ...headers, 'X-Twist-Signature': good } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.success, true);
+
+  const replay = await srv.request('POST', '/store-status', { rawBody: raw, headers: { ...headers, 'X-Twist-Signature': good } });
+  assert.equal(replay.status, 401);
+
+  const reformatted = await srv.request('POST', '/store-status', {
+    rawBody: JSON.stringify(ACCOUNT),
+    headers: { ...headers, 'X-Twist-Signature': webhookSignature.sign(SECRET, raw) }
+  });
+  assert.equal(reformatted.status, 401);
+});
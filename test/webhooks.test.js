@@ -0,0 +1,65 @@
+// test/webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, seedAccount, preValidate, ACCOUNT } = require('./helpers');
+
+// Collects whatever is POSTed to it
+async function receiver() {
+  const calls = [];
+  let notify = null;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (d) => { raw += d; });
+    req.on('end', () => {
+      calls.push({ headers: req.headers, raw });
+      res.writeHead(200).end('ok');
+      if (notify) notify();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks/catch/1/abc/`,
+    calls,
+    next: () => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('no delivery')), 5000);
+      notify = () => { clearTimeout(timer); notify = null; resolve(); };
+    }),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('ZAPIER_WEBHOOK_URL keeps approvals flowing to the Zap in its old form-encoded shape', async (t) => {
+  const zap = await receiver();
+  t.after(() => zap.close());
+  const srv = await startServer({ ZAPIER_WEBHOOK_URL: zap.url });
+  t.after(() => srv.stop());
+  assert.doesNotMatch(srv.output(), /No outbound webhook subscribers/);
+
+  await seedAccount(srv);
+  const { body } = await preValidate(srv, { transaction_id: 'tx1', amount: 25 });
+  const delivered = zap.next();
+  assert.equal((await srv.request('POST', '/validate-transaction', { body })).body.status, 'approved');
+  await delivered;
+
+  assert.equal(zap.calls.length, 1);
+  const [call] = zap.calls;
+  assert.match(call.headers['content-type'], /^application\/x-www-form-urlencoded/);
+  assert.equal(call.headers['x-twist-signature'], undefined);
+  const fields = Object.fromEntries(new URLSearchParams(call.raw));
+  assert.equal(fields.event, 'twistpay.approved');
+  assert.equal(fields.status, 'approved');
+  assert.equal(fields.transaction_id, 'tx1');
+  assert.equal(fields.amount, '25');
+  assert.equal(fields.loan_id, ACCOUNT.loan_id);
+  assert.equal(fields.card_last4, '3456');
+  assert.ok(fields.approved_at);
+});
+
+test('the server warns at startup when no webhook subscriber is configured', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  // stderr may arrive just after the "running" line on stdout
+  for (let i = 0; i < 20 && !/No outbound webhook subscribers/.test(srv.output()); i++) await new Promise((r) => setTimeout(r, 50));
+  assert.match(srv.output(), /No outbound webhook subscribers/);
+});